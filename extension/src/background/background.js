@@ -1,8 +1,41 @@
 // background.js
 let websocket = null;
-let connectionAttempts = 0;
-const MAX_RETRY_ATTEMPTS = 5;
-const RETRY_DELAY = 2000;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+// Reconnect delays double from RETRY_DELAY up to MAX_RETRY_DELAY, and retrying never stops
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+// Close code the server uses for a missing or wrong pairing token
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+// Pings also keep Chrome from suspending the worker while connected, it allows 30 seconds of inactivity
+const HEARTBEAT_INTERVAL = 20000;
+// Wakes a suspended worker so a lost connection is noticed and restored
+const KEEPALIVE_ALARM = 'connection-keepalive';
+const KEEPALIVE_PERIOD_MINUTES = 0.5;
+const TABS_REPORT_DELAY = 500;
+
+// Sent through the storage-backed queue, so they survive a server or browser restart
+const QUEUED_ACTIONS = ['elementSelected', 'elementsSelected', 'recordingStep', 'recordingStopped'];
+const ACK_TIMEOUT = 15000;
+
+// Screenshots: CSS pixels of page shown around the element, and size caps in image pixels
+const CONTEXT_MARGIN = 120;
+const MAX_ELEMENT_SHOT_SIZE = 1600;
+const MAX_CONTEXT_SHOT_WIDTH = 1024;
+const OUTLINE_COLOR = '#ff0066';
+
+// Connection as the popup shows it, persisted so a restarted worker carries on where the last one stopped.
+// status is 'disconnected', 'connecting', 'connected' or 'unauthorized'; retryAt is when the next attempt is due
+let connection = { status: 'disconnected', attempts: 0, retryAt: null, error: null, connectedAt: null, lastPongAt: null };
+const connectionLoaded = chrome.storage.local.get(['connection']).then(stored => {
+  connection = { ...connection, ...stored.connection };
+});
+
+// Active recording session ({ recordingId, name, tabId }), persisted so a restarted worker keeps it
+let recording = null;
+const recordingLoaded = chrome.storage.local.get(['recording']).then(stored => {
+  recording = stored.recording || null;
+});
 
 // Check if URL is restricted
 function isRestrictedUrl(url) {
@@ -22,33 +55,24 @@ async function injectContentScripts(tabId) {
       throw new Error('Cannot inject into this page');
     }
 
-    // Inject ElementAnalyzer first
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['src/content/ElementAnalyzer.js']
-    });
-
-    // Small delay to ensure first script is fully executed
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Inject ElementInspector
+    // The manifest lists the scripts in dependency order, executeScript runs them in that order
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['src/content/ElementInspector.js']
+      files: chrome.runtime.getManifest().content_scripts[0].js
     });
 
-    // Small delay for second script
-    await new Promise(resolve => setTimeout(resolve, 100));
-
     // Verify both scripts are loaded and initialized
     const verifyResult = await chrome.scripting.executeScript({
       target: { tabId },
       func: () => {
         return {
+          engineLoaded: typeof window.SelectorEngine === 'function',
           analyzerLoaded: typeof window.ElementAnalyzer === 'function',
           inspectorLoaded: typeof window.elementInspector === 'object',
           analyzerWorking: Boolean(window.ElementAnalyzer && new window.ElementAnalyzer().analyzeElement),
-          inspectorWorking: Boolean(window.elementInspector && window.elementInspector.start)
+          inspectorWorking: Boolean(window.elementInspector && window.elementInspector.start),
+          executorLoaded: typeof window.commandExecutor === 'object',
+          recorderLoaded: typeof window.interactionRecorder === 'object'
         };
       }
     });
@@ -56,8 +80,9 @@ async function injectContentScripts(tabId) {
     const status = verifyResult[0].result;
     console.log('Script verification status:', status);
 
-    if (!status.analyzerLoaded || !status.inspectorLoaded || 
-        !status.analyzerWorking || !status.inspectorWorking) {
+    if (!status.engineLoaded || !status.analyzerLoaded || !status.inspectorLoaded || 
+        !status.analyzerWorking || !status.inspectorWorking || !status.executorLoaded ||
+        !status.recorderLoaded) {
       throw new Error('Script verification failed: ' + JSON.stringify(status));
     }
 
@@ -68,33 +93,236 @@ async function injectContentScripts(tabId) {
   }
 }
 
-// Send message to tab with retry
-async function sendMessageToTab(tabId, message, retries = 3) {
+// The manifest injects the content scripts into pages loaded after the extension; tabs that were
+// already open, or whose scripts went away with an extension reload, get them injected on demand
+async function ensureContentScripts(tabId) {
+  try {
+    const reply = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    if (reply && reply.ready) return;
+  } catch (error) {
+    // Nothing listens in the tab yet
+  }
+  await injectContentScripts(tabId);
+}
+
+// Send message to tab with retry, resolves with the content script's response
+async function requestFromTab(tabId, message, retries = 3) {
   for (let i = 0; i < retries; i++) {
-    try {
-      const tab = await chrome.tabs.get(tabId);
-      if (!tab || isRestrictedUrl(tab.url)) {
-        console.log('Tab is not accessible for automation');
-        return false;
-      }
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab || isRestrictedUrl(tab.url)) {
+      throw new Error('Tab is not accessible for automation');
+    }
 
-      // Ensure scripts are injected
-      await injectContentScripts(tabId);
+    try {
+      await ensureContentScripts(tabId);
 
       // Send the message
-      await chrome.tabs.sendMessage(tabId, message);
-      return true;
+      return await chrome.tabs.sendMessage(tabId, message);
     } catch (error) {
       console.log(`Attempt ${i + 1} failed:`, error.message);
       if (i === retries - 1) {
         console.error('All retry attempts failed:', error);
-        return false;
+        throw error;
       }
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
-  return false;
+}
+
+// Send message to tab with retry, resolves with whether it was delivered
+async function sendMessageToTab(tabId, message, retries = 3) {
+  try {
+    await requestFromTab(tabId, message, retries);
+    return true;
+  } catch (error) {
+    console.log('Could not deliver message to tab:', error.message);
+    return false;
+  }
+}
+
+// The tab a command names, or the active tab when it names none
+async function commandTab(tabId) {
+  if (tabId !== undefined) {
+    return chrome.tabs.get(tabId);
+  }
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab) {
+    throw new Error('No active tab found');
+  }
+  return tab;
+}
+
+// Run a server command and report the outcome back
+async function executeCommand(message) {
+  let outcome;
+  let tabId = message.tabId;
+  try {
+    const tab = await commandTab(message.tabId);
+    tabId = tab.id;
+
+    outcome = await requestFromTab(tab.id, {
+      action: 'executeAutomation',
+      ...message
+    });
+    if (!outcome) {
+      throw new Error('No response from content script');
+    }
+  } catch (error) {
+    outcome = {
+      success: false,
+      command: message.command && message.command.name,
+      error: { code: 'TAB_UNAVAILABLE', message: error.message }
+    };
+  }
+
+  sendToServer('commandResult', { id: message.id, tabId, ...outcome });
+}
+
+// Tabs as the server lists them, so API callers can pick one by id
+async function describeTabs() {
+  const tabs = await chrome.tabs.query({});
+  return tabs
+    .filter(tab => tab.id !== undefined && tab.id !== chrome.tabs.TAB_ID_NONE)
+    .map(tab => ({ id: tab.id, windowId: tab.windowId, url: tab.url || '', title: tab.title || '', active: tab.active }));
+}
+
+// Stays the same across reconnects and browser restarts, so the server keeps the same client id
+async function getInstanceId() {
+  const { instanceId } = await chrome.storage.local.get(['instanceId']);
+  if (instanceId) {
+    return instanceId;
+  }
+  const created = crypto.randomUUID();
+  await chrome.storage.local.set({ instanceId: created });
+  return created;
+}
+
+async function sendHello() {
+  const { clientLabel } = await chrome.storage.local.get(['clientLabel']);
+  sendToServer('hello', {
+    instanceId: await getInstanceId(),
+    role: 'extension',
+    label: clientLabel || '',
+    browser: { userAgent: navigator.userAgent, platform: navigator.platform },
+    extensionVersion: chrome.runtime.getManifest().version,
+    tabs: await describeTabs()
+  });
+}
+
+// Tab events come in bursts, report the list once they settle
+let tabsChangedTimer = null;
+function reportTabs() {
+  clearTimeout(tabsChangedTimer);
+  tabsChangedTimer = setTimeout(async () => {
+    // The hello sent on connecting carries the list anyway
+    if (websocket && websocket.readyState === WebSocket.OPEN) {
+      sendToServer('tabsChanged', { tabs: await describeTabs() });
+    }
+  }, TABS_REPORT_DELAY);
+}
+
+chrome.tabs.onCreated.addListener(reportTabs);
+chrome.tabs.onRemoved.addListener(reportTabs);
+chrome.tabs.onActivated.addListener(reportTabs);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || changeInfo.title) {
+    reportTabs();
+  }
+});
+
+// Intersection of a rect with the tab image, in whole image pixels, or null when none of it is visible
+function clampRegion(rect, bitmap) {
+  const left = Math.max(0, Math.floor(rect.left));
+  const top = Math.max(0, Math.floor(rect.top));
+  const right = Math.min(bitmap.width, Math.ceil(rect.left + rect.width));
+  const bottom = Math.min(bitmap.height, Math.ceil(rect.top + rect.height));
+  return right > left && bottom > top ? { left, top, width: right - left, height: bottom - top } : null;
+}
+
+// Copies a region of the tab image onto a canvas, scaled down to fit the given size
+function drawRegion(bitmap, region, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / region.width, maxHeight / region.height);
+  const canvas = new OffscreenCanvas(
+    Math.max(1, Math.round(region.width * scale)),
+    Math.max(1, Math.round(region.height * scale))
+  );
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, region.left, region.top, region.width, region.height, 0, 0, canvas.width, canvas.height);
+  return { canvas, context, scale };
+}
+
+async function encodeCanvas(canvas, mimeType, quality) {
+  const blob = await canvas.convertToBlob({ type: mimeType, quality });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Chunked, spreading a whole image into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { mimeType, width: canvas.width, height: canvas.height, data: btoa(binary) };
+}
+
+/**
+ * Crops one captured element out of the tab image, plus a wider shot with the element outlined
+ * @param {ImageBitmap} bitmap The visible tab
+ * @param {{rect: Object, devicePixelRatio: number}} capture Element rect in CSS pixels of the top viewport
+ * @returns {Promise<{element: Object, context: Object}|null>} null when the element is out of view
+ */
+async function elementScreenshots(bitmap, { rect, devicePixelRatio }) {
+  if (!rect) return null;
+
+  // The tab image is in device pixels
+  const ratio = devicePixelRatio || 1;
+  const target = {
+    left: rect.left * ratio,
+    top: rect.top * ratio,
+    width: rect.width * ratio,
+    height: rect.height * ratio
+  };
+  const elementRegion = clampRegion(target, bitmap);
+  if (!elementRegion) return null;
+
+  const margin = CONTEXT_MARGIN * ratio;
+  const contextRegion = clampRegion({
+    left: target.left - margin,
+    top: target.top - margin,
+    width: target.width + 2 * margin,
+    height: target.height + 2 * margin
+  }, bitmap);
+
+  const element = drawRegion(bitmap, elementRegion, MAX_ELEMENT_SHOT_SIZE, MAX_ELEMENT_SHOT_SIZE);
+  const context = drawRegion(bitmap, contextRegion, MAX_CONTEXT_SHOT_WIDTH, Infinity);
+  context.context.strokeStyle = OUTLINE_COLOR;
+  context.context.lineWidth = Math.max(2, 2 * ratio * context.scale);
+  context.context.strokeRect(
+    (target.left - contextRegion.left) * context.scale,
+    (target.top - contextRegion.top) * context.scale,
+    target.width * context.scale,
+    target.height * context.scale
+  );
+
+  return {
+    element: await encodeCanvas(element.canvas, 'image/png'),
+    context: await encodeCanvas(context.canvas, 'image/jpeg', 0.85)
+  };
+}
+
+// Adds screenshots to captures made in a tab, captures go out without them when the tab cannot be captured
+async function attachScreenshots(tab, captures) {
+  try {
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    const withScreenshots = [];
+    for (const capture of captures) {
+      withScreenshots.push({ ...capture, screenshots: await elementScreenshots(bitmap, capture) });
+    }
+    bitmap.close();
+    return withScreenshots;
+  } catch (error) {
+    console.warn('Could not capture screenshots:', error.message);
+    return captures;
+  }
 }
 
 // Handle messages from popup and content scripts
@@ -102,30 +330,81 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'elementSelected') {
     console.log('Element selected:', message.elementInfo);
     
-    // Process the element data
-    const enhancedData = processElementData(message.elementInfo);
-    
-    // Send to server
-    const sent = sendToServer('elementSelected', enhancedData);
-    
-    // Respond to content script
-    sendResponse({ success: sent });
-    return false;
+    attachScreenshots(sender.tab, [message.elementInfo]).then(([elementInfo]) => {
+      // Process the element data
+      const enhancedData = processElementData(elementInfo);
+
+      // Send to server
+      const sent = sendToServer('elementSelected', enhancedData);
+
+      // Respond to content script
+      sendResponse({ success: sent });
+    });
+    return true;
+  }
+
+  if (message.action === 'elementsSelected') {
+    const { elements, ...group } = message.group;
+    console.log(`Selection of ${elements.length} elements:`, group);
+
+    attachScreenshots(sender.tab, elements).then(captured => {
+      const sent = sendToServer('elementsSelected', {
+        ...group,
+        elements: captured.map(processElementData)
+      });
+      sendResponse({ success: sent });
+    });
+    return true;
   }
 
   if (message.action === 'establishConnection') {
-    connectionAttempts = 0;
-    connectWebSocket(message.serverUrl);
-    sendResponse({ success: true });
+    connectionLoaded.then(() => {
+      connection.attempts = 0;
+      connectWebSocket(message.serverUrl, message.pairingToken);
+      sendResponse({ success: true });
+    });
     return true;
   } 
 
+  // Sent when the popup opens, which also wakes a suspended worker
+  if (message.action === 'getConnectionStatus') {
+    ensureConnected().then(() => sendResponse({ connection }));
+    return true;
+  }
+
   if (message.action === 'startInspector') {
     handleStartInspector().then(result => 
       sendResponse({ success: result })
     );
     return true;
   }
+
+  if (message.action === 'startRecording') {
+    handleStartRecording(message.name).then(result =>
+      sendResponse({ success: result })
+    );
+    return true;
+  }
+
+  if (message.action === 'stopRecording') {
+    handleStopRecording().then(result =>
+      sendResponse({ success: result })
+    );
+    return true;
+  }
+
+  if (message.action === 'recordStep') {
+    recordingLoaded.then(() => {
+      // Only the recorded tab contributes steps
+      const fromRecordedTab = recording && sender.tab && sender.tab.id === recording.tabId;
+      const sent = fromRecordedTab && sendToServer('recordingStep', {
+        recordingId: recording.recordingId,
+        step: message.step
+      });
+      sendResponse({ success: Boolean(sent) });
+    });
+    return true;
+  }
 });
 
 async function handleStartInspector() {
@@ -141,13 +420,115 @@ async function handleStartInspector() {
       return false;
     }
 
-    return await sendMessageToTab(tab.id, { action: 'startInspector' });
+    const { snapshotDocument } = await chrome.storage.local.get(['snapshotDocument']);
+    return await sendMessageToTab(tab.id, {
+      action: 'startInspector',
+      options: { snapshotDocument: Boolean(snapshotDocument) }
+    });
   } catch (error) {
     console.error('Error starting inspector:', error);
     return false;
   }
 }
 
+async function handleStartRecording(name) {
+  try {
+    await recordingLoaded;
+    if (recording) {
+      console.log('Already recording:', recording.name);
+      return false;
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || isRestrictedUrl(tab.url)) {
+      console.log('Cannot record on this page');
+      return false;
+    }
+
+    const session = { recordingId: crypto.randomUUID(), name: name || '', tabId: tab.id };
+    if (!sendToServer('recordingStarted', { recordingId: session.recordingId, name: session.name, url: tab.url })) {
+      return false;
+    }
+    recording = session;
+    await chrome.storage.local.set({ recording });
+
+    // The flow starts wherever the tab currently is
+    sendToServer('recordingStep', {
+      recordingId: session.recordingId,
+      step: { type: 'navigate', url: tab.url, cause: 'user', timestamp: new Date().toISOString() }
+    });
+
+    if (!await sendMessageToTab(tab.id, { action: 'startRecording' })) {
+      await handleStopRecording();
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error starting recording:', error);
+    return false;
+  }
+}
+
+async function handleStopRecording() {
+  await recordingLoaded;
+  if (!recording) {
+    return false;
+  }
+
+  const { recordingId, tabId } = recording;
+  // Let the page flush pending typing before the flow is closed
+  await sendMessageToTab(tabId, { action: 'stopRecording' }, 1);
+
+  recording = null;
+  await chrome.storage.local.remove('recording');
+  sendToServer('recordingStopped', { recordingId });
+  return true;
+}
+
+// Navigations the page triggered itself are replayed by the click or submit that caused them
+function navigationCause(details) {
+  const qualifiers = details.transitionQualifiers || [];
+  if (['link', 'form_submit'].includes(details.transitionType) || qualifiers.includes('client_redirect')) {
+    return 'page';
+  }
+  return 'user';
+}
+
+async function recordNavigation(details) {
+  await recordingLoaded;
+  if (!recording || details.tabId !== recording.tabId || details.frameId !== 0) {
+    return;
+  }
+
+  sendToServer('recordingStep', {
+    recordingId: recording.recordingId,
+    step: {
+      type: 'navigate',
+      url: details.url,
+      cause: navigationCause(details),
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+chrome.webNavigation.onCommitted.addListener(recordNavigation);
+chrome.webNavigation.onHistoryStateUpdated.addListener(recordNavigation);
+
+// A new document in the recorded tab has no listeners yet, switch the recorder back on
+chrome.webNavigation.onDOMContentLoaded.addListener(async (details) => {
+  await recordingLoaded;
+  if (recording && details.tabId === recording.tabId && details.frameId === 0) {
+    await sendMessageToTab(details.tabId, { action: 'startRecording' });
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await recordingLoaded;
+  if (recording && tabId === recording.tabId) {
+    await handleStopRecording();
+  }
+});
+
 function processElementData(elementInfo) {
   const { analysis, ...basicInfo } = elementInfo;
   return {
@@ -160,92 +541,289 @@ function processElementData(elementInfo) {
   };
 }
 
-function connectWebSocket(serverUrl) {
-  if (connectionAttempts >= MAX_RETRY_ATTEMPTS) {
-    console.log('Max connection attempts reached');
-    updateConnectionStatus(false);
+// The pairing token travels in the query string, browsers cannot set WebSocket headers
+function pairedUrl(serverUrl, pairingToken) {
+  const url = new URL(serverUrl);
+  if (pairingToken) {
+    url.searchParams.set('token', pairingToken);
+  }
+  return url.href;
+}
+
+// Exponential backoff with jitter, so browsers cut off together do not all come back at once
+function retryDelay(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Saves the connection state and tells an open popup about it
+function setConnection(changes) {
+  connection = { ...connection, ...changes };
+  chrome.storage.local.set({ connection });
+  chrome.runtime.sendMessage({ action: 'connectionStatus', connection }).catch(() => {
+    // Ignore errors when popup is closed
+  });
+}
+
+function scheduleReconnect(serverUrl, pairingToken, delay = retryDelay(connection.attempts)) {
+  clearTimeout(reconnectTimer);
+  console.log(`Reconnecting in ${delay} ms`);
+  setConnection({ status: 'disconnected', retryAt: Date.now() + delay });
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectWebSocket(serverUrl, pairingToken);
+  }, delay);
+}
+
+/**
+ * Connects unless a socket is already open or on its way, or a reconnect is already planned.
+ * Runs whenever the worker wakes, since a suspended worker loses its socket and timers.
+ */
+async function ensureConnected() {
+  await connectionLoaded;
+  if (websocket || reconnectTimer || connection.status === 'unauthorized') {
     return;
   }
 
+  const { serverUrl, pairingToken } = await chrome.storage.local.get(['serverUrl', 'pairingToken']);
+  if (!serverUrl) {
+    return;
+  }
+  // The backoff started before the worker was suspended still applies
+  scheduleReconnect(serverUrl, pairingToken, Math.max(0, (connection.retryAt || 0) - Date.now()));
+}
+
+function connectWebSocket(serverUrl, pairingToken) {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
   if (websocket) {
-    websocket.close();
+    const previous = websocket;
+    dropConnection(previous);
+    previous.close();
   }
 
   try {
-    connectionAttempts++;
-    console.log(`Attempting to connect (${connectionAttempts}/${MAX_RETRY_ATTEMPTS})`);
-    updateConnectionStatus(false, connectionAttempts);
+    console.log(`Attempting to connect (attempt ${connection.attempts + 1})`);
+    setConnection({ status: 'connecting', attempts: connection.attempts + 1, retryAt: null, error: null });
 
-    websocket = new WebSocket(serverUrl);
+    const socket = new WebSocket(pairedUrl(serverUrl, pairingToken));
+    websocket = socket;
     
-    websocket.onopen = () => {
+    socket.onopen = () => {
       console.log('Connected to automation server');
-      connectionAttempts = 0;
-      updateConnectionStatus(true);
-      chrome.storage.local.set({ serverConnected: true });
+      setConnection({ status: 'connected', attempts: 0, connectedAt: new Date().toISOString() });
+      startHeartbeat(socket);
+      sendHello()
+        .catch(error => console.error('Error identifying to server:', error))
+        .then(flushQueue);
     };
     
-    websocket.onmessage = async (event) => {
+    socket.onmessage = async (event) => {
       try {
         const message = JSON.parse(event.data);
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab) {
-          await sendMessageToTab(tab.id, {
-            action: 'executeAutomation',
-            ...message
-          });
+        // Element changes are meant for dashboards, only commands, acknowledgements and pongs concern the extension
+        if (message.type === 'command') {
+          await executeCommand(message);
+        } else if (message.type === 'ack') {
+          acknowledgeMessage(message);
+        } else if (message.type === 'nack') {
+          rejectMessage(message);
+        } else if (message.type === 'pong') {
+          socket.awaitingPong = false;
+          setConnection({ lastPongAt: new Date().toISOString() });
         }
       } catch (error) {
         console.error('Error processing WebSocket message:', error);
       }
     };
     
-    websocket.onclose = (event) => {
+    socket.onclose = (event) => {
       console.log('Disconnected from server:', event.code, event.reason);
-      updateConnectionStatus(false);
-      chrome.storage.local.set({ serverConnected: false });
-      
-      if (event.code !== 1000 && connectionAttempts < MAX_RETRY_ATTEMPTS) {
-        setTimeout(() => connectWebSocket(serverUrl), RETRY_DELAY);
+      if (!dropConnection(socket)) {
+        return;
+      }
+
+      // Retrying cannot fix a wrong token, the user has to pair again
+      if (event.code === UNAUTHORIZED_CLOSE_CODE) {
+        setConnection({
+          status: 'unauthorized',
+          retryAt: null,
+          error: `${event.reason || 'Invalid pairing token'}, enter the token shown by the server`
+        });
+        return;
       }
+      scheduleReconnect(serverUrl, pairingToken);
     };
     
-    websocket.onerror = (error) => {
+    socket.onerror = (error) => {
       console.error('WebSocket error:', error);
-      updateConnectionStatus(false);
-      chrome.storage.local.set({ serverConnected: false });
     };
   } catch (error) {
     console.error('Error creating WebSocket:', error);
-    updateConnectionStatus(false);
-    
-    if (connectionAttempts < MAX_RETRY_ATTEMPTS) {
-      setTimeout(() => connectWebSocket(serverUrl), RETRY_DELAY);
+    websocket = null;
+    setConnection({ error: error.message });
+    scheduleReconnect(serverUrl, pairingToken);
+  }
+}
+
+/**
+ * Lets go of the current socket; false when it was already replaced by a newer one
+ * @param {WebSocket} socket
+ * @returns {boolean}
+ */
+function dropConnection(socket) {
+  if (socket !== websocket) {
+    return false;
+  }
+  websocket = null;
+  clearInterval(heartbeatTimer);
+  // Messages waiting for an acknowledgement are sent again on the next connection
+  pendingAcks.forEach(settle => settle(false));
+  return true;
+}
+
+// A socket whose server stopped answering may never fire close, so a missed pong counts as a disconnect
+function startHeartbeat(socket) {
+  clearInterval(heartbeatTimer);
+  socket.awaitingPong = false;
+  heartbeatTimer = setInterval(async () => {
+    if (socket.awaitingPong) {
+      console.warn('Server stopped answering pings');
+      if (dropConnection(socket)) {
+        socket.close();
+        const { serverUrl, pairingToken } = await chrome.storage.local.get(['serverUrl', 'pairingToken']);
+        setConnection({ error: 'Server stopped responding' });
+        scheduleReconnect(serverUrl, pairingToken);
+      }
+      return;
     }
+    socket.awaitingPong = true;
+    sendToServer('ping', {});
+  }, HEARTBEAT_INTERVAL);
+}
+
+// Queued messages waiting for the server, oldest first; kept in storage until acknowledged
+let pendingMessages = [];
+let queueTask = chrome.storage.local.get(['pendingMessages']).then(stored => {
+  pendingMessages = stored.pendingMessages || [];
+});
+let flushing = false;
+// Set while the message at the head of the queue waits for its next attempt
+let flushTimer = null;
+// Settles the delivery of a sent message by id, with why the server did not take it or null once it did
+const pendingAcks = new Map();
+
+// Queue updates run one after another, each saving the queue once done
+function updateQueue(change) {
+  queueTask = queueTask
+    .then(async () => {
+      change();
+      // Why the oldest message is still waiting, if sending it failed before
+      const pendingError = pendingMessages.length > 0 ? pendingMessages[0].lastError || null : null;
+      await chrome.storage.local.set({ pendingMessages, pendingCount: pendingMessages.length, pendingError });
+      chrome.runtime.sendMessage({ action: 'queueStatus', pending: pendingMessages.length, error: pendingError }).catch(() => {
+        // Ignore errors when popup is closed
+      });
+    })
+    .catch(error => console.error('Error saving the send queue:', error));
+  return queueTask;
+}
+
+function queueMessage(message) {
+  updateQueue(() => pendingMessages.push(message)).then(flushQueue);
+}
+
+function acknowledgeMessage({ messageId, error }) {
+  if (error) {
+    console.error(`Server could not process message ${messageId}:`, error);
+  }
+  const settle = pendingAcks.get(messageId);
+  if (settle) {
+    settle(null);
   }
 }
 
-function updateConnectionStatus(connected, retryCount) {
-  chrome.runtime.sendMessage({
-    action: 'connectionStatus',
-    connected: connected,
-    retryCount: retryCount
-  }).catch(() => {
-    // Ignore errors when popup is closed
+// The server could not handle the message this time, it stays queued
+function rejectMessage({ messageId, error }) {
+  const settle = pendingAcks.get(messageId);
+  if (settle) {
+    settle(error || 'Rejected by the server');
+  }
+}
+
+function deliver(message) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => settle('No acknowledgement from the server'), ACK_TIMEOUT);
+    function settle(error) {
+      clearTimeout(timer);
+      pendingAcks.delete(message.messageId);
+      resolve(error);
+    }
+    pendingAcks.set(message.messageId, settle);
+
+    try {
+      websocket.send(JSON.stringify(message));
+    } catch (error) {
+      console.error('Error sending to server:', error);
+      settle(error.message);
+    }
   });
 }
 
+// Sends queued messages one at a time, in order, each once the previous one is acknowledged.
+// A message is never dropped: one that fails is sent again with the reconnect backoff, and the
+// popup shows why it is stuck
+async function flushQueue() {
+  if (flushing) {
+    return;
+  }
+  flushing = true;
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  try {
+    await queueTask;
+    while (pendingMessages.length > 0 && websocket && websocket.readyState === WebSocket.OPEN) {
+      const message = pendingMessages[0];
+      const wait = (message.retryAt || 0) - Date.now();
+      if (wait > 0) {
+        flushTimer = setTimeout(flushQueue, wait);
+        break;
+      }
+
+      const error = await deliver(message);
+      if (error) {
+        console.warn(`Server did not take ${message.action} ${message.messageId}, retrying:`, error);
+        await updateQueue(() => {
+          message.attempts = (message.attempts || 0) + 1;
+          message.lastError = error;
+          message.retryAt = Date.now() + retryDelay(message.attempts);
+        });
+      } else {
+        await updateQueue(() => pendingMessages.shift());
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
 function sendToServer(action, data) {
+  const message = {
+    action,
+    data: {
+      ...data,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  // Accepted even while disconnected, the queue delivers it later
+  if (QUEUED_ACTIONS.includes(action)) {
+    queueMessage({ ...message, messageId: crypto.randomUUID() });
+    return true;
+  }
+
   if (websocket && websocket.readyState === WebSocket.OPEN) {
     try {
-      const message = {
-        action,
-        data: {
-          ...data,
-          timestamp: new Date().toISOString()
-        }
-      };
-      
       console.log('Sending to server:', message);
       websocket.send(JSON.stringify(message));
       return true;
@@ -260,17 +838,19 @@ function sendToServer(action, data) {
 }
 
 
-// Initial connection attempts
-chrome.runtime.onStartup.addListener(async () => {
-  const { serverUrl } = await chrome.storage.local.get(['serverUrl']);
-  if (serverUrl) {
-    connectWebSocket(serverUrl);
+// The worker starts on browser startup, install and every wake-up; reconnect each time
+chrome.alarms.get(KEEPALIVE_ALARM).then(alarm => {
+  if (!alarm) {
+    chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: KEEPALIVE_PERIOD_MINUTES });
   }
 });
 
-chrome.runtime.onInstalled.addListener(async () => {
-  const { serverUrl } = await chrome.storage.local.get(['serverUrl']);
-  if (serverUrl) {
-    connectWebSocket(serverUrl);
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === KEEPALIVE_ALARM) {
+    ensureConnected();
+    // The retry timer of a stuck message does not survive a suspended worker
+    flushQueue();
   }
-});
\ No newline at end of file
+});
+
+ensureConnected();
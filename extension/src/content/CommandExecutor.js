@@ -0,0 +1,477 @@
+// CommandExecutor.js - Runs server-pushed automation commands against the live page
+(() => {
+  // Injected by the manifest and again on demand, keep a single listener
+  if (window.commandExecutor) return;
+
+  const DEFAULT_TIMEOUT = 2000;
+  const POLL_INTERVAL = 100;
+
+  // Lowest fingerprint confidence accepted when a selector no longer matches
+  const MIN_HEAL_CONFIDENCE = 0.6;
+
+  // Commands that do not need a selector to run
+  const PAGE_COMMANDS = ['pageInfo', 'verifySelectors', 'heal', 'extract', 'navigate'];
+
+  // Gives the navigate result time to reach the background worker before the page unloads
+  const NAVIGATION_DELAY = 50;
+
+  class CommandError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'CommandError';
+      this.code = code;
+    }
+  }
+
+  class CommandExecutor {
+    constructor() {
+      if (!window.SelectorEngine || !window.ElementAnalyzer) {
+        throw new Error('SelectorEngine or ElementAnalyzer not found');
+      }
+
+      this.analyzer = new window.ElementAnalyzer();
+
+      this.handlers = {
+        click: this.click,
+        type: this.type,
+        select: this.select,
+        hover: this.hover,
+        scrollIntoView: this.scrollIntoView,
+        waitFor: this.waitFor,
+        readText: this.readText,
+        readAttribute: this.readAttribute,
+        highlight: this.highlight,
+        pageInfo: this.pageInfo,
+        verifySelectors: this.verifySelectors,
+        heal: this.heal,
+        extract: this.extract,
+        navigate: this.navigate
+      };
+    }
+
+    /**
+     * Executes one command and never throws; failures come back as results
+     * @param {{name: string, selector: string, selectorType?: string, timeout?: number}} command
+     * @returns {Promise<{success: boolean, command: string, result?: Object, error?: {code: string, message: string}}>}
+     */
+    async execute(command) {
+      const name = command && command.name;
+      try {
+        const handler = this.handlers[name];
+        if (!handler) {
+          throw new CommandError('UNKNOWN_COMMAND', `Unknown command: ${name}`);
+        }
+        if (!command.selector && !command.chain && !PAGE_COMMANDS.includes(name)) {
+          throw new CommandError('INVALID_COMMAND', `Command ${name} requires a selector`);
+        }
+
+        const result = await handler.call(this, command);
+        return { success: true, command: name, result };
+      } catch (error) {
+        return {
+          success: false,
+          command: name,
+          error: {
+            code: error.code || 'EXECUTION_FAILED',
+            message: error.message
+          }
+        };
+      }
+    }
+
+    /**
+     * Resolves a command's target, following a frame/shadow chain when one is given
+     * @param {{selector?: string, selectorType?: string, chain?: Array}} command
+     * @returns {Element[]}
+     */
+    query(command) {
+      try {
+        if (Array.isArray(command.chain) && command.chain.length > 0) {
+          return window.SelectorEngine.resolveChain(command.chain);
+        }
+        return window.SelectorEngine.query(command.selector, command.selectorType || 'css');
+      } catch (error) {
+        throw new CommandError('INVALID_SELECTOR', `Invalid selector: ${command.selector}`);
+      }
+    }
+
+    /**
+     * Polls until the selector matches (and optionally is visible) or the timeout passes.
+     * Commands carrying a fingerprint fall back to fingerprint lookup once the selector fails.
+     * @returns {Promise<{element: HTMLElement, matchCount: number, healedConfidence?: number}>}
+     */
+    resolveElement(command, requireVisible = false) {
+      const timeout = command.timeout !== undefined ? command.timeout : DEFAULT_TIMEOUT;
+      const deadline = Date.now() + timeout;
+
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          let matches;
+          try {
+            matches = this.query(command);
+          } catch (error) {
+            reject(error);
+            return;
+          }
+
+          const element = matches.find(match => !requireVisible || this.isVisible(match));
+          if (element) {
+            resolve({ element, matchCount: matches.length });
+          } else if (Date.now() >= deadline) {
+            const healed = command.fingerprint && this.findByFingerprint(command);
+            if (healed) {
+              resolve({ element: healed.element, matchCount: matches.length, healedConfidence: healed.confidence });
+              return;
+            }
+            reject(new CommandError(
+              matches.length > 0 ? 'NOT_VISIBLE' : 'NOT_FOUND',
+              `No ${requireVisible ? 'visible ' : ''}element matches ${command.selector}`
+            ));
+          } else {
+            setTimeout(check, POLL_INTERVAL);
+          }
+        };
+        check();
+      });
+    }
+
+    isVisible(element) {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+      return rect.width > 0 && rect.height > 0 &&
+        style.visibility !== 'hidden' && style.display !== 'none';
+    }
+
+    findByFingerprint(command) {
+      const minConfidence = command.minConfidence ?? MIN_HEAL_CONFIDENCE;
+      const match = this.analyzer.findByFingerprint(command.fingerprint);
+      return match && match.confidence >= minConfidence ? match : null;
+    }
+
+    describe({ element, matchCount, healedConfidence }) {
+      const description = {
+        tagName: element.tagName.toLowerCase(),
+        matchCount
+      };
+      if (healedConfidence !== undefined) {
+        description.healedConfidence = healedConfidence;
+      }
+      return description;
+    }
+
+    async click(command) {
+      const resolved = await this.resolveElement(command, true);
+      const { element } = resolved;
+      element.scrollIntoView({ block: 'center' });
+
+      ['mousedown', 'mouseup'].forEach(type => {
+        element.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+      });
+      element.click();
+
+      return this.describe(resolved);
+    }
+
+    async type(command) {
+      const resolved = await this.resolveElement(command, true);
+      const { element } = resolved;
+      const value = String(command.value ?? '');
+      element.focus();
+
+      if (element.isContentEditable) {
+        element.textContent = command.clear === false ? element.textContent + value : value;
+      } else if ('value' in element) {
+        const nextValue = command.clear === false ? element.value + value : value;
+        // Use the native setter so framework-controlled inputs notice the change
+        const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+        if (descriptor && descriptor.set) {
+          descriptor.set.call(element, nextValue);
+        } else {
+          element.value = nextValue;
+        }
+      } else {
+        throw new CommandError('NOT_EDITABLE', `Element ${command.selector} does not accept text`);
+      }
+
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+
+      return { ...this.describe(resolved), value: element.value ?? element.textContent };
+    }
+
+    async select(command) {
+      const resolved = await this.resolveElement(command);
+      const { element } = resolved;
+      if (!(element instanceof HTMLSelectElement)) {
+        throw new CommandError('NOT_SELECTABLE', `Element ${command.selector} is not a <select>`);
+      }
+
+      const wanted = String(command.value ?? '');
+      const option = Array.from(element.options).find(opt => opt.value === wanted) ||
+        Array.from(element.options).find(opt => opt.text.trim() === wanted);
+      if (!option) {
+        throw new CommandError('OPTION_NOT_FOUND', `No option "${wanted}" in ${command.selector}`);
+      }
+
+      element.value = option.value;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+
+      return { ...this.describe(resolved), value: option.value, label: option.text.trim() };
+    }
+
+    async hover(command) {
+      const resolved = await this.resolveElement(command, true);
+      const { element } = resolved;
+      element.scrollIntoView({ block: 'center' });
+
+      const rect = element.getBoundingClientRect();
+      const init = {
+        bubbles: true,
+        view: window,
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2
+      };
+      ['pointerover', 'mouseover', 'mouseenter', 'mousemove'].forEach(type => {
+        const EventType = type.startsWith('pointer') ? PointerEvent : MouseEvent;
+        element.dispatchEvent(new EventType(type, { ...init, bubbles: type !== 'mouseenter' }));
+      });
+
+      return this.describe(resolved);
+    }
+
+    async scrollIntoView(command) {
+      const resolved = await this.resolveElement(command);
+      const { element } = resolved;
+      element.scrollIntoView({ block: 'center', behavior: 'instant' });
+      return this.describe(resolved);
+    }
+
+    async waitFor(command) {
+      const started = Date.now();
+      const resolved = await this.resolveElement(command, command.state === 'visible');
+      return { ...this.describe(resolved), waited: Date.now() - started };
+    }
+
+    async readText(command) {
+      const resolved = await this.resolveElement(command);
+      const { element } = resolved;
+      const text = (element.innerText ?? element.textContent ?? '').trim();
+      return { ...this.describe(resolved), text };
+    }
+
+    async readAttribute(command) {
+      if (!command.attribute) {
+        throw new CommandError('INVALID_COMMAND', 'readAttribute requires an attribute');
+      }
+
+      const resolved = await this.resolveElement(command);
+      const { element } = resolved;
+      let value = element.getAttribute(command.attribute);
+      // Fall back to live properties such as value or checked
+      if (value === null && command.attribute in element) {
+        value = element[command.attribute];
+      }
+      return { ...this.describe(resolved), attribute: command.attribute, value };
+    }
+
+    async highlight(command) {
+      const matches = this.query(command);
+      if (matches.length === 0) {
+        throw new CommandError('NOT_FOUND', `No element matches ${command.selector}`);
+      }
+
+      const duration = command.duration || 2000;
+      const overlays = matches.map(element => {
+        const rect = element.getBoundingClientRect();
+        const overlay = document.createElement('div');
+        overlay.className = 'element-inspector-highlight command';
+        overlay.style.cssText = `
+          position: fixed;
+          pointer-events: none;
+          box-sizing: border-box;
+          border: 2px solid #FF9800;
+          background-color: rgba(255, 152, 0, 0.15);
+          z-index: 10000;
+          top: ${rect.top}px;
+          left: ${rect.left}px;
+          width: ${rect.width}px;
+          height: ${rect.height}px;
+        `;
+        document.body.appendChild(overlay);
+        return overlay;
+      });
+
+      setTimeout(() => overlays.forEach(overlay => overlay.remove()), duration);
+
+      return this.describe({ element: matches[0], matchCount: matches.length });
+    }
+
+    /**
+     * Applies a declarative extraction definition to the page. With previousPage
+     * set, waits until the rows differ from that page (the next page has loaded).
+     * @param {{rowSelector: string, fields: Array, nextPageSelector?: string, previousPage?: {url: string, firstRow: string}, timeout?: number}} command
+     * @returns {Promise<{url: string, rows: Object[], nextPage: {href: string|null}|null}>}
+     */
+    async extract(command) {
+      if (!command.rowSelector || !Array.isArray(command.fields)) {
+        throw new CommandError('INVALID_COMMAND', 'extract requires a rowSelector and fields');
+      }
+
+      const rows = await this.waitForRows(command);
+
+      let nextPage = null;
+      if (command.nextPageSelector) {
+        const next = this.query({ selector: command.nextPageSelector })
+          .find(element => this.isVisible(element) &&
+            !element.disabled && element.getAttribute('aria-disabled') !== 'true');
+        if (next) {
+          nextPage = { href: next.href || null };
+        }
+      }
+
+      return { url: window.location.href, rows, nextPage };
+    }
+
+    /**
+     * Polls until the row selector matches, and with previousPage set until the rows changed
+     * @returns {Promise<Object[]>}
+     */
+    waitForRows(command) {
+      const timeout = command.timeout !== undefined ? command.timeout : DEFAULT_TIMEOUT;
+      const deadline = Date.now() + timeout;
+      const { previousPage } = command;
+
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          let rows;
+          try {
+            rows = this.analyzer.extractRows(command);
+          } catch (error) {
+            reject(new CommandError('INVALID_SELECTOR', `Invalid extraction selector: ${error.message}`));
+            return;
+          }
+
+          const changed = !previousPage ||
+            window.location.href !== previousPage.url ||
+            JSON.stringify(rows[0]) !== previousPage.firstRow;
+          if (rows.length > 0 && changed) {
+            resolve(rows);
+          } else if (Date.now() >= deadline) {
+            if (changed) {
+              resolve(rows);
+            } else {
+              reject(new CommandError('PAGE_NOT_CHANGED', 'The next page did not load'));
+            }
+          } else {
+            setTimeout(check, POLL_INTERVAL);
+          }
+        };
+        check();
+      });
+    }
+
+    async navigate(command) {
+      if (!command.url) {
+        throw new CommandError('INVALID_COMMAND', 'navigate requires a url');
+      }
+
+      const from = window.location.href;
+      setTimeout(() => window.location.assign(command.url), NAVIGATION_DELAY);
+      return { from, url: command.url };
+    }
+
+    async pageInfo() {
+      return {
+        url: window.location.href,
+        title: document.title
+      };
+    }
+
+    /**
+     * Counts matches for a batch of selectors without touching the page
+     * @param {{selectors: Array<{key: string, type?: string, selector?: string, chain?: Array}>}} command
+     */
+    async verifySelectors(command) {
+      if (!Array.isArray(command.selectors)) {
+        throw new CommandError('INVALID_COMMAND', 'verifySelectors requires a selectors array');
+      }
+
+      const results = command.selectors.map(({ key, type, selector, chain }) => {
+        try {
+          const matchCount = this.query({ selector, selectorType: type, chain }).length;
+          return { key, matchCount };
+        } catch (error) {
+          return { key, matchCount: 0, error: 'INVALID_SELECTOR' };
+        }
+      });
+
+      return { url: window.location.href, results };
+    }
+
+    /**
+     * Checks a stored selector and, if it no longer matches exactly one element,
+     * finds the closest fingerprint match and proposes replacement selectors
+     * @param {{selector?: string, selectorType?: string, fingerprint: Object, minConfidence?: number}} command
+     */
+    async heal(command) {
+      if (!command.fingerprint) {
+        throw new CommandError('INVALID_COMMAND', 'heal requires a fingerprint');
+      }
+
+      let matches = [];
+      if (command.selector || command.chain) {
+        try {
+          matches = this.query(command);
+        } catch (error) {
+          // An invalid stored selector is just another broken selector
+        }
+      }
+
+      if (matches.length === 1 && matches[0].tagName.toLowerCase() === command.fingerprint.tagName) {
+        return {
+          healed: false,
+          confidence: this.analyzer.scoreFingerprint(matches[0], command.fingerprint),
+          originalMatchCount: 1
+        };
+      }
+
+      const match = this.analyzer.findByFingerprint(command.fingerprint);
+      const minConfidence = command.minConfidence ?? MIN_HEAL_CONFIDENCE;
+      if (!match || match.confidence < minConfidence) {
+        throw new CommandError(
+          'NOT_FOUND',
+          `No element matches the fingerprint (best confidence ${match ? match.confidence : 0})`
+        );
+      }
+
+      const selectors = this.analyzer.generateSelectors(match.element);
+      return {
+        healed: true,
+        confidence: match.confidence,
+        originalMatchCount: matches.length,
+        tagName: match.element.tagName.toLowerCase(),
+        cssSelector: selectors.css,
+        xpath: selectors.xpath,
+        candidates: selectors.candidates.slice(0, 5)
+      };
+    }
+  }
+
+  try {
+    window.commandExecutor = new CommandExecutor();
+    console.log('CommandExecutor initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize CommandExecutor:', error);
+    return;
+  }
+
+  // Listen for commands forwarded by the background worker
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'executeAutomation' && message.command) {
+      window.commandExecutor.execute(message.command).then(sendResponse);
+      return true; // Keep the channel open for the async result
+    }
+  });
+
+})();
@@ -1,10 +1,79 @@
 // ElementAnalyzer.js - Intelligent DOM pattern detection and element analysis
 (() => {
 
+  // Rows extracted right away so a generated schema can be checked at a glance
+  const EXTRACTION_PREVIEW_ROWS = 5;
+  const MAX_EXTRACTION_FIELDS = 15;
+  // Same tag and classes are enough for list items, their content may vary
+  const ITEM_SIMILARITY = 0.6;
+  const PRICE_PATTERN = /[$€£¥₹]\s?\d|\d[\d.,]*\s?(?:[$€£¥₹]|USD|EUR|GBP)/;
+
+  // Pagination controls are looked for this many ancestors above a list
+  const PAGINATION_SEARCH_DEPTH = 4;
+  const CLICKABLE_SELECTOR = 'a[href], button, [role="button"], [role="link"], input[type="button"], input[type="submit"]';
+  const NEXT_PATTERN = /^(next( page)?|older( posts| entries)?|[›»→>]|>>)$/i;
+  const PREV_PATTERN = /^(prev(ious)?( page)?|newer( posts| entries)?|[‹«←<]|<<)$/i;
+  const LOAD_MORE_PATTERN = /^((load|show|see|view) more|more results)\b/i;
+  // Children appended this long after a scroll are credited to infinite scrolling
+  const SCROLL_GROWTH_WINDOW = 2000;
+
+  const FIELD_SELECTOR = 'input, select, textarea';
+  // Input types that are not filled in by the user
+  const NON_FIELD_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+  const SUBMIT_SELECTOR = 'button[type="submit"], button:not([type]), input[type="submit"], input[type="image"]';
+  const SUBMIT_PATTERN = /submit|sign ?up|register|create account|log ?in|sign ?in|continue|checkout|place order|pay|send|save|subscribe|search/i;
+  // Formless field groups are looked for this many ancestors above the selected field
+  const FORM_SEARCH_DEPTH = 6;
+
+  /**
+   * Records which containers gain children right after the page scrolls, so
+   * infinite-scroll lists can be recognised once the user has scrolled past them.
+   * It only watches while the inspector runs, pages never inspected are left alone.
+   * Shared by every analyzer instance and kept across re-injections.
+   */
+  function createScrollGrowthWatcher() {
+    const appended = new WeakMap();
+    let lastScroll = 0;
+    let observer = null;
+
+    const handleScroll = () => {
+      lastScroll = Date.now();
+    };
+
+    return {
+      start() {
+        if (observer) return;
+        window.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+        observer = new MutationObserver(records => {
+          if (Date.now() - lastScroll > SCROLL_GROWTH_WINDOW) return;
+          records.forEach(record => {
+            const added = Array.from(record.addedNodes).filter(node => node.nodeType === Node.ELEMENT_NODE).length;
+            if (added > 0) {
+              appended.set(record.target, (appended.get(record.target) || 0) + added);
+            }
+          });
+        });
+        observer.observe(document.documentElement, { childList: true, subtree: true });
+      },
+      stop() {
+        if (!observer) return;
+        window.removeEventListener('scroll', handleScroll, { capture: true });
+        observer.disconnect();
+        observer = null;
+      },
+      appendedAfterScroll: container => appended.get(container) || 0
+    };
+  }
+
+  if (!window.scrollGrowthWatcher) {
+    window.scrollGrowthWatcher = createScrollGrowthWatcher();
+  }
+
   class ElementAnalyzer {
     constructor() {
       this.patterns = new Map();
       this.relationshipCache = new WeakMap();
+      this.selectorEngine = new window.SelectorEngine();
     }
 
     analyzeStructure(element) {
@@ -97,10 +166,9 @@
     }
 
     findSemanticRelationships(element, relationships, container) {
-      // Handle form elements
-      if (element instanceof HTMLInputElement && element.id) {
-        const label = container.querySelector(`label[for="${element.id}"]`);
-        if (label) relationships.push(label);
+      // Handle form elements: labels anywhere in the document, wrapping labels and aria-labelledby
+      if (this.isFormField(element)) {
+        relationships.push(...this.fieldLabelElements(element));
       }
 
       // Handle table cells
@@ -136,7 +204,9 @@
       const classes1 = new Set(el1.classList);
       const classes2 = new Set(el2.classList);
       const commonClasses = Array.from(classes1).filter(c => classes2.has(c));
-      score += commonClasses.length / Math.max(classes1.size, classes2.size);
+      const classCount = Math.max(classes1.size, classes2.size);
+      // Two elements without classes agree on them
+      score += classCount === 0 ? 1 : commonClasses.length / classCount;
       checks++;
 
       // Compare structure
@@ -160,59 +230,760 @@
     }
 
     generateSelectors(element) {
+      // Verify against the document or shadow root the element lives in
+      const root = element.getRootNode();
+      const engine = root === document ? this.selectorEngine : new window.SelectorEngine(root);
+      const candidates = engine.generate(element);
+      const chain = root === document
+        ? [{ type: 'element', selector: window.SelectorEngine.pickBest(candidates, 'css'), selectorType: 'css' }]
+        : window.SelectorEngine.generateChain(element);
+
       return {
-        css: this.generateCssSelector(element),
-        xpath: this.generateXPath(element)
+        css: window.SelectorEngine.pickBest(candidates, 'css'),
+        xpath: window.SelectorEngine.pickBest(candidates, 'xpath'),
+        candidates,
+        chain
+      };
+    }
+
+    /**
+     * Captures what identifies an element so it can be found again after its selectors break
+     * @param {HTMLElement} element
+     * @returns {Object}
+     */
+    generateFingerprint(element) {
+      const rect = element.getBoundingClientRect();
+      const container = this.findClosestStructuralContainer(element);
+      const attributes = {};
+      Array.from(element.attributes)
+        .filter(attr => !['class', 'style'].includes(attr.name))
+        .forEach(attr => {
+          attributes[attr.name] = attr.value.substring(0, 200);
+        });
+
+      return {
+        tagName: element.tagName.toLowerCase(),
+        classes: Array.from(element.classList),
+        attributes,
+        text: this.normalizeText(element.textContent).substring(0, 100),
+        structureSignature: this.generateStructureSignature(element),
+        containerSignature: container ? this.getContainerSignature(container) : null,
+        position: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        }
+      };
+    }
+
+    /**
+     * Scores how closely an element matches a stored fingerprint
+     * @param {HTMLElement} element
+     * @param {Object} fingerprint Output of generateFingerprint
+     * @returns {number} Confidence between 0 and 1
+     */
+    scoreFingerprint(element, fingerprint) {
+      if (element.tagName.toLowerCase() !== fingerprint.tagName) return 0;
+
+      const weights = {
+        classes: 0.15,
+        attributes: 0.25,
+        text: 0.3,
+        structure: 0.1,
+        container: 0.1,
+        position: 0.1
+      };
+      let score = 0;
+
+      // Class overlap (Jaccard)
+      const classes = new Set(element.classList);
+      const union = new Set([...classes, ...fingerprint.classes]);
+      const shared = fingerprint.classes.filter(cls => classes.has(cls)).length;
+      score += weights.classes * (union.size === 0 ? 1 : shared / union.size);
+
+      // Share of stored attributes that still have the same value
+      const storedAttributes = Object.entries(fingerprint.attributes);
+      const matchingAttributes = storedAttributes
+        .filter(([name, value]) => (element.getAttribute(name) || '').substring(0, 200) === value)
+        .length;
+      score += weights.attributes * (storedAttributes.length === 0 ? 1 : matchingAttributes / storedAttributes.length);
+
+      score += weights.text * this.textSimilarity(this.normalizeText(element.textContent).substring(0, 100), fingerprint.text);
+
+      // Compare child layout only, classes were already scored above
+      const childLayout = signature => signature.slice(signature.indexOf('{'));
+      if (childLayout(this.generateStructureSignature(element)) === childLayout(fingerprint.structureSignature)) {
+        score += weights.structure;
+      }
+
+      const container = this.findClosestStructuralContainer(element);
+      if (container && this.getContainerSignature(container) === fingerprint.containerSignature) {
+        score += weights.container;
+      }
+
+      // Full marks in place, nothing once the element moved more than 500px
+      const rect = element.getBoundingClientRect();
+      const distance = Math.hypot(
+        rect.left + window.scrollX - fingerprint.position.x,
+        rect.top + window.scrollY - fingerprint.position.y
+      );
+      score += weights.position * Math.max(0, 1 - distance / 500);
+
+      return Math.round(score * 100) / 100;
+    }
+
+    /**
+     * Finds the element on the page that best matches a fingerprint
+     * @param {Object} fingerprint Output of generateFingerprint
+     * @returns {{element: HTMLElement, confidence: number}|null}
+     */
+    findByFingerprint(fingerprint) {
+      let best = null;
+      document.querySelectorAll(fingerprint.tagName).forEach(candidate => {
+        const confidence = this.scoreFingerprint(candidate, fingerprint);
+        if (!best || confidence > best.confidence) {
+          best = { element: candidate, confidence };
+        }
+      });
+      return best;
+    }
+
+    normalizeText(text) {
+      return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Word overlap between two strings, 1 when both are empty
+    textSimilarity(a, b) {
+      if (a === b) return 1;
+      const wordsA = new Set(a.toLowerCase().split(' ').filter(Boolean));
+      const wordsB = new Set(b.toLowerCase().split(' ').filter(Boolean));
+      const union = new Set([...wordsA, ...wordsB]);
+      if (union.size === 0) return 1;
+      const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+      return shared / union.size;
+    }
+
+    /**
+     * Builds a list-extraction schema when the element sits in a repeating
+     * structure such as a product grid or result list: a selector matching
+     * every item plus relative selectors for the fields found in one item
+     * @param {HTMLElement} element The item or any element inside it
+     * @returns {Object|null} Null when the element is not part of a repeating item
+     */
+    generateExtractionSchema(element) {
+      const item = this.findRepeatingItem(element);
+      if (!item) return null;
+
+      const container = item.parentElement;
+      const engine = new window.SelectorEngine(item.getRootNode());
+      const items = Array.from(container.children).filter(sibling =>
+        sibling === item || this.calculateSimilarity(item, sibling) >= ITEM_SIMILARITY
+      );
+
+      // Only classes every item shares, so the selector keeps matching new items
+      const sharedClasses = engine.getStableClasses(item)
+        .filter(cls => items.every(other => other.classList.contains(cls)))
+        .slice(0, 2);
+      const itemSelector = item.tagName.toLowerCase() +
+        sharedClasses.map(cls => `.${CSS.escape(cls)}`).join('');
+      const containerSelector = this.generateSelectors(container).css;
+      const rowSelector = `${containerSelector} > ${itemSelector}`;
+
+      const schema = {
+        containerSelector,
+        itemSelector,
+        rowSelector,
+        itemCount: engine.countMatches(rowSelector),
+        fields: this.findItemFields(item, items, engine),
+        pagination: this.detectPagination(item)
       };
+      schema.preview = this.extractRows(schema, EXTRACTION_PREVIEW_ROWS, item.getRootNode());
+      return schema;
     }
 
-    generateCssSelector(element) {
-      const path = [];
+    /**
+     * Walks up from an element to the item that repeats among its siblings,
+     * preferring items with inner structure over bare repeated leaves
+     * @param {HTMLElement} element
+     * @returns {HTMLElement|null}
+     */
+    findRepeatingItem(element) {
+      let fallback = null;
       let current = element;
-      
-      while (current) {
-        if (current.id) {
-          path.unshift('#' + current.id);
-          break;
-        } else {
-          let selector = current.tagName.toLowerCase();
-          if (current.className) {
-            selector += '.' + Array.from(current.classList).join('.');
-          }
-          path.unshift(selector);
+
+      while (current && current.parentElement && current !== current.ownerDocument.body) {
+        const repeats = Array.from(current.parentElement.children).some(sibling =>
+          sibling !== current && this.calculateSimilarity(current, sibling) >= ITEM_SIMILARITY
+        );
+        if (repeats) {
+          if (current.children.length > 0) return current;
+          fallback = fallback || current;
         }
         current = current.parentElement;
       }
-      
-      return path.join(' > ');
+      return fallback;
     }
 
-    generateXPath(element) {
-      const paths = [];
-      let current = element;
-      
-      while (current) {
-        if (current.id) {
-          paths.unshift(`//*[@id="${current.id}"]`);
-          break;
-        } else {
-          let index = 1;
-          let sibling = current.previousElementSibling;
-          
-          while (sibling) {
-            if (sibling.tagName === current.tagName) index++;
-            sibling = sibling.previousElementSibling;
+    /**
+     * Text, link, image and price fields of an item that most of its siblings also have
+     * @param {HTMLElement} item
+     * @param {HTMLElement[]} items All items of the list, used to drop one-off fields
+     * @param {SelectorEngine} engine
+     * @returns {Array<{name: string, selector: string|null, extract: string, attribute?: string}>}
+     */
+    findItemFields(item, items, engine) {
+      const fields = [];
+      const names = new Set();
+
+      const add = (baseName, target, extract, attribute) => {
+        if (fields.length >= MAX_EXTRACTION_FIELDS) return;
+        // A null selector means the item itself
+        const selector = target === item ? null : engine.cssPath(target, item).selector;
+        if (fields.some(field => field.selector === selector && field.extract === extract)) return;
+        // Thumbnail and title often link to the same page
+        if (extract === 'href' && fields.some(field =>
+          field.extract === 'href' && this.extractField(item, field) === target.href)) return;
+
+        const coverage = items.filter(other => !selector || other.querySelector(selector)).length;
+        if (coverage < items.length / 2) return;
+
+        let name = baseName;
+        for (let counter = 2; names.has(name); counter++) {
+          name = `${baseName}${counter}`;
+        }
+        names.add(name);
+        fields.push({ name, selector, extract, ...(attribute ? { attribute } : {}) });
+      };
+
+      [item, ...item.querySelectorAll('*')].forEach(target => {
+        const tagName = target.tagName.toLowerCase();
+        if (['script', 'style', 'noscript', 'template'].includes(tagName)) return;
+
+        if (tagName === 'a' && target.getAttribute('href')) {
+          add('link', target, 'href');
+        }
+        if (tagName === 'img' && target.getAttribute('src')) {
+          add('image', target, 'attribute', 'src');
+        }
+
+        const ownText = this.normalizeText(Array.from(target.childNodes)
+          .filter(node => node.nodeType === Node.TEXT_NODE)
+          .map(node => node.textContent)
+          .join(' '));
+        if (ownText) {
+          add(this.fieldNameFor(target, ownText, engine), target, 'text');
+        }
+      });
+
+      return fields;
+    }
+
+    /**
+     * Readable field name from what an element holds or how it is styled
+     * @param {HTMLElement} element
+     * @param {string} text
+     * @param {SelectorEngine} engine
+     * @returns {string}
+     */
+    fieldNameFor(element, text, engine) {
+      if (PRICE_PATTERN.test(text)) return 'price';
+      if (element.closest('h1, h2, h3, h4, h5, h6')) return 'title';
+
+      const [cls] = engine.getStableClasses(element);
+      const words = (cls || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+      if (words.length === 0 || /^[0-9]/.test(words[0])) return 'text';
+      return words
+        .map((word, index) => index === 0
+          ? word.toLowerCase()
+          : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+    }
+
+    /**
+     * Applies an extraction schema and returns one plain object per matched item
+     * @param {{rowSelector: string, fields: Array}} schema
+     * @param {number} limit Maximum number of rows
+     * @param {Document|ShadowRoot} root
+     * @returns {Object[]}
+     */
+    extractRows(schema, limit = Infinity, root = document) {
+      return Array.from(root.querySelectorAll(schema.rowSelector))
+        .slice(0, limit)
+        .map(item => {
+          const row = {};
+          schema.fields.forEach(field => {
+            row[field.name] = this.extractField(item, field);
+          });
+          return row;
+        });
+    }
+
+    /**
+     * Reads one field from an item: text, resolved href, or an attribute
+     * @param {HTMLElement} item
+     * @param {{selector: string|null, extract: string, attribute?: string}} field
+     * @returns {string|null} Null when the field's element is missing
+     */
+    extractField(item, field) {
+      const target = field.selector ? item.querySelector(field.selector) : item;
+      if (!target) return null;
+
+      switch (field.extract) {
+        case 'href':
+          return target.href || target.getAttribute('href');
+        case 'attribute':
+          return target.getAttribute(field.attribute);
+        default:
+          return this.normalizeText(target.textContent);
+      }
+    }
+
+    /**
+     * Closest ancestor holding every element, null when they live in different
+     * documents or shadow roots
+     * @param {HTMLElement[]} elements
+     * @returns {HTMLElement|null}
+     */
+    findCommonContainer(elements) {
+      if (elements.length === 0) return null;
+      const root = elements[0].getRootNode();
+      if (elements.some(element => element.getRootNode() !== root)) return null;
+
+      let container = elements[0].parentElement;
+      while (container && !elements.every(element => container.contains(element))) {
+        container = container.parentElement;
+      }
+      return container;
+    }
+
+    /**
+     * Describes how a set of selected elements relate to each other: their common
+     * container and, per element, its document order and path inside the container
+     * @param {HTMLElement[]} elements In selection order
+     * @returns {{container: Object|null, members: Object[]}}
+     */
+    analyzeGroup(elements) {
+      const container = this.findCommonContainer(elements);
+      const ordered = [...elements].sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+      const engine = container ? new window.SelectorEngine(container.getRootNode()) : null;
+
+      const members = elements.map(element => ({
+        documentOrder: ordered.indexOf(element),
+        relativeSelector: container ? engine.cssPath(element, container).selector : null,
+        // Selection indexes of other selected elements with the same parent
+        siblings: elements
+          .map((other, index) => (other !== element && other.parentElement === element.parentElement ? index : -1))
+          .filter(index => index !== -1)
+      }));
+
+      let containerInfo = null;
+      if (container) {
+        const selectors = this.generateSelectors(container);
+        containerInfo = {
+          tagName: container.tagName.toLowerCase(),
+          cssSelector: selectors.css,
+          xpath: selectors.xpath,
+          selectorChain: selectors.chain
+        };
+      }
+
+      return { container: containerInfo, members };
+    }
+
+    /**
+     * Finds how the list around an element continues: next/previous controls,
+     * numbered pages, "load more" buttons, rel="next" links and containers that
+     * grew after scrolling. Recommends the strategy a scraper should use.
+     * @param {HTMLElement} element A list, one of its items or anything inside an item
+     * @returns {Object|null} Null when the element is not part of a list
+     */
+    detectPagination(element) {
+      const list = this.findListContainer(element);
+      if (!list) return null;
+
+      const { container, items } = list;
+      const engine = new window.SelectorEngine(container.getRootNode());
+      const controls = { next: null, prev: null, loadMore: null, pages: [] };
+
+      // Nearest controls win, a "Next" inside an item (carousels) is not pagination
+      let scope = container;
+      for (let depth = 0; scope && depth <= PAGINATION_SEARCH_DEPTH; depth++) {
+        scope.querySelectorAll(CLICKABLE_SELECTOR).forEach(candidate => {
+          if (items.some(item => item.contains(candidate))) return;
+          const kind = this.classifyPaginationControl(candidate);
+          if (kind === 'page') {
+            if (!controls.pages.includes(candidate)) controls.pages.push(candidate);
+          } else if (kind && !controls[kind]) {
+            controls[kind] = candidate;
           }
-          
-          paths.unshift(`${current.tagName.toLowerCase()}[${index}]`);
+        });
+        if (scope === scope.ownerDocument.body) break;
+        scope = scope.parentElement;
+      }
+
+      const doc = container.ownerDocument;
+      const relNext = doc.querySelector('link[rel~="next"]');
+      const appended = window.scrollGrowthWatcher.appendedAfterScroll(container);
+
+      const pagination = {
+        strategy: null,
+        selector: null,
+        next: controls.next && this.describePaginationControl(controls.next, engine),
+        prev: controls.prev && this.describePaginationControl(controls.prev, engine),
+        loadMore: controls.loadMore && this.describePaginationControl(controls.loadMore, engine),
+        pages: controls.pages.length >= 2 ? this.describePageLinks(controls.pages, engine) : null,
+        relNext: relNext ? relNext.href : null,
+        infiniteScroll: appended > 0
+          ? { containerSelector: this.generateSelectors(container).css, appended }
+          : null
+      };
+
+      if (pagination.next) {
+        pagination.strategy = pagination.next.href ? 'next-link' : 'next-button';
+        pagination.selector = pagination.next.selector;
+      } else if (pagination.relNext) {
+        pagination.strategy = 'next-link';
+      } else if (pagination.loadMore) {
+        pagination.strategy = 'load-more';
+        pagination.selector = pagination.loadMore.selector;
+      } else if (pagination.pages) {
+        pagination.strategy = 'numbered';
+        pagination.selector = pagination.pages.selector;
+      } else if (pagination.infiniteScroll) {
+        pagination.strategy = 'infinite-scroll';
+        pagination.selector = pagination.infiniteScroll.containerSelector;
+      }
+
+      return pagination;
+    }
+
+    /**
+     * The list an element belongs to: the parent of its repeating item, or the
+     * element itself when its own children repeat
+     * @param {HTMLElement} element
+     * @returns {{container: HTMLElement, items: HTMLElement[]}|null}
+     */
+    findListContainer(element) {
+      const item = this.findRepeatingItem(element);
+      let container = item ? item.parentElement : null;
+      if (!container) {
+        const [first, ...rest] = Array.from(element.children);
+        if (!first || !rest.some(child => this.calculateSimilarity(first, child) >= ITEM_SIMILARITY)) {
+          return null;
         }
-        current = current.parentElement;
+        container = element;
       }
-      
-      return paths.join('/');
+
+      const sample = item || container.firstElementChild;
+      const items = Array.from(container.children).filter(child =>
+        child === sample || this.calculateSimilarity(sample, child) >= ITEM_SIMILARITY
+      );
+      return { container, items };
     }
 
+    /**
+     * @param {HTMLElement} element
+     * @returns {'next'|'prev'|'loadMore'|'page'|null}
+     */
+    classifyPaginationControl(element) {
+      const rel = (element.getAttribute('rel') || '').split(/\s+/);
+      if (rel.includes('next')) return 'next';
+      if (rel.includes('prev')) return 'prev';
 
+      const label = this.normalizeText(
+        element.getAttribute('aria-label') || element.textContent || element.getAttribute('title') || element.value || ''
+      );
+      if (NEXT_PATTERN.test(label)) return 'next';
+      if (PREV_PATTERN.test(label)) return 'prev';
+      if (LOAD_MORE_PATTERN.test(label)) return 'loadMore';
+      if (/^\d+$/.test(label)) return 'page';
+
+      // Icon-only arrows are usually named by their class
+      const words = Array.from(element.classList).flatMap(cls => cls.toLowerCase().split(/[-_]+/));
+      if (words.includes('next')) return 'next';
+      if (words.includes('prev') || words.includes('previous')) return 'prev';
+      return null;
+    }
+
+    /**
+     * Selector for a pagination control that still matches on the next page:
+     * rel, aria-label or a class before generated candidates, and never the href
+     * @param {HTMLElement} element
+     * @param {SelectorEngine} engine
+     * @returns {{selector: string, tagName: string, text: string, href: string|null, disabled: boolean}}
+     */
+    describePaginationControl(element, engine) {
+      const tagName = element.tagName.toLowerCase();
+      const rel = (element.getAttribute('rel') || '').split(/\s+/).find(value => value === 'next' || value === 'prev');
+      const label = element.getAttribute('aria-label');
+      const named = engine.getStableClasses(element).find(cls => /next|prev|more/i.test(cls));
+
+      const selector = [
+        rel && `${tagName}[rel~="${rel}"]`,
+        label && !engine.isDynamicValue(label) && `${tagName}[aria-label="${CSS.escape(label)}"]`,
+        named && `${tagName}.${CSS.escape(named)}`,
+        ...engine.generate(element)
+          .filter(candidate => candidate.type === 'css' && candidate.unique && !candidate.selector.includes('[href'))
+          .map(candidate => candidate.selector)
+      ].find(candidate => candidate && engine.root.querySelector(candidate) === element)
+        || engine.cssPath(element, null, true).selector;
+
+      return {
+        selector,
+        tagName,
+        text: this.normalizeText(element.textContent).slice(0, 50),
+        href: tagName === 'a' && element.href ? element.href : null,
+        disabled: element.disabled === true || element.getAttribute('aria-disabled') === 'true' ||
+          element.classList.contains('disabled')
+      };
+    }
+
+    /**
+     * Numbered page links: one selector for all of them and the current page
+     * @param {HTMLElement[]} links
+     * @param {SelectorEngine} engine
+     * @returns {{selector: string, count: number, current: number|null}}
+     */
+    describePageLinks(links, engine) {
+      const container = this.findCommonContainer(links);
+      // A class all page links share keeps next/previous arrows out of the selector
+      const [shared] = engine.getStableClasses(links[0])
+        .filter(cls => links.every(link => link.classList.contains(cls)));
+      const linkSelector = links[0].tagName.toLowerCase() + (shared ? `.${CSS.escape(shared)}` : '');
+
+      // The current page is often plain text or marked up as active
+      const current = container && Array.from(container.querySelectorAll('*')).find(element =>
+        /^\d+$/.test(this.normalizeText(element.textContent)) &&
+        (element.getAttribute('aria-current') ||
+          /(^|[-_\s])(active|current|selected)($|[-_\s])/i.test(element.getAttribute('class') || '') ||
+          (!element.closest(CLICKABLE_SELECTOR) && !element.querySelector(CLICKABLE_SELECTOR)))
+      );
+
+      return {
+        selector: container ? `${this.generateSelectors(container).css} ${linkSelector}` : linkSelector,
+        count: links.length + (current && !links.includes(current) ? 1 : 0),
+        current: current ? Number(this.normalizeText(current.textContent)) : null
+      };
+    }
+
+
+
+    /**
+     * Describes the form a form, field or field label belongs to: every field with
+     * its accessible label, constraints and options, plus the submit control.
+     * Fields outside any <form> are grouped by their closest shared container.
+     * @param {HTMLElement} element
+     * @returns {Object|null} Null when the element is not a form, field or label
+     */
+    analyzeForm(element) {
+      const scope = this.findFormScope(element);
+      if (!scope) return null;
+
+      const controls = (scope.tagName === 'FORM' ? Array.from(scope.elements) : Array.from(scope.querySelectorAll(FIELD_SELECTOR)))
+        .filter(control => this.isFormField(control));
+
+      const fields = [];
+      const radioGroups = new Map();
+      controls.forEach(control => {
+        const type = this.fieldType(control);
+        if (type !== 'radio') {
+          fields.push(this.describeField(control, type));
+          return;
+        }
+
+        // Radios sharing a name are one field with one option per radio
+        const key = control.name || control;
+        if (!radioGroups.has(key)) {
+          const group = { ...this.describeField(control, type), options: [] };
+          const fieldset = control.closest('fieldset');
+          const legend = fieldset && fieldset.querySelector('legend');
+          if (legend) group.label = this.cleanLabel(legend.textContent);
+          radioGroups.set(key, group);
+          fields.push(group);
+        }
+        const option = {
+          tagName: 'input',
+          value: control.value,
+          label: this.fieldLabel(control),
+          checked: control.checked,
+          disabled: control.disabled,
+          ...this.elementSelectors(control)
+        };
+        // Name and value identify a radio better than its position
+        const byValue = `input[name="${CSS.escape(control.name)}"][value="${CSS.escape(control.value)}"]`;
+        if (control.name && control.getRootNode().querySelectorAll(byValue).length === 1) {
+          option.cssSelector = byValue;
+        }
+        radioGroups.get(key).options.push(option);
+        radioGroups.get(key).required = radioGroups.get(key).required || control.required;
+      });
+
+      const submit = this.findSubmitControl(scope);
+      const heading = scope.querySelector('h1, h2, h3, h4, legend');
+      return {
+        name: scope.getAttribute('aria-label') || scope.getAttribute('name') || scope.id ||
+          (heading ? this.normalizeText(heading.textContent) : '') || 'form',
+        tagName: scope.tagName.toLowerCase(),
+        action: scope.tagName === 'FORM' ? scope.action : null,
+        method: scope.tagName === 'FORM' ? scope.method : null,
+        ...this.elementSelectors(scope),
+        fields,
+        submit: submit ? {
+          tagName: submit.tagName.toLowerCase(),
+          text: this.normalizeText(submit.textContent || submit.value || ''),
+          ...this.elementSelectors(submit)
+        } : null
+      };
+    }
+
+    /**
+     * The form (or formless field group) to analyze for a selected element
+     * @param {HTMLElement} element
+     * @returns {HTMLElement|null}
+     */
+    findFormScope(element) {
+      if (element.tagName === 'FORM') return element;
+
+      // A label stands for its field
+      const field = element.tagName === 'LABEL' ? element.control : element;
+      if (!field || !this.isFormField(field)) return null;
+      if (field.form) return field.form;
+
+      let scope = field.parentElement;
+      for (let depth = 0; scope && depth < FORM_SEARCH_DEPTH; depth++) {
+        // Never grow into a neighbouring form
+        if (scope.querySelector('form') || scope === scope.ownerDocument.body) break;
+        const fieldCount = Array.from(scope.querySelectorAll(FIELD_SELECTOR))
+          .filter(control => this.isFormField(control)).length;
+        if (fieldCount > 1 || this.findSubmitControl(scope)) return scope;
+        scope = scope.parentElement;
+      }
+      return field.parentElement;
+    }
+
+    isFormField(element) {
+      const tagName = element.tagName;
+      if (tagName === 'SELECT' || tagName === 'TEXTAREA') return true;
+      return tagName === 'INPUT' && !NON_FIELD_TYPES.includes(this.fieldType(element));
+    }
+
+    fieldType(field) {
+      if (field.tagName === 'SELECT') return field.multiple ? 'select-multiple' : 'select';
+      if (field.tagName === 'TEXTAREA') return 'textarea';
+      return (field.getAttribute('type') || 'text').toLowerCase();
+    }
+
+    /**
+     * @param {HTMLElement} field
+     * @param {string} type
+     * @returns {Object}
+     */
+    describeField(field, type) {
+      const constraints = {};
+      ['pattern', 'min', 'max', 'step', 'minlength', 'maxlength'].forEach(name => {
+        if (field.hasAttribute(name)) constraints[name] = field.getAttribute(name);
+      });
+      if (field.multiple) constraints.multiple = true;
+
+      const description = {
+        tagName: field.tagName.toLowerCase(),
+        type,
+        name: field.getAttribute('name') || '',
+        id: field.id || '',
+        label: this.fieldLabel(field),
+        placeholder: field.getAttribute('placeholder') || '',
+        autocomplete: field.getAttribute('autocomplete') || '',
+        required: field.required,
+        disabled: field.disabled,
+        readOnly: field.readOnly === true,
+        constraints,
+        ...this.elementSelectors(field)
+      };
+
+      if (field.tagName === 'SELECT') {
+        description.options = Array.from(field.options).map(option => ({
+          value: option.value,
+          label: this.normalizeText(option.label || option.textContent),
+          selected: option.selected,
+          disabled: option.disabled
+        }));
+      } else if (type === 'checkbox') {
+        description.value = field.value;
+        description.checked = field.checked;
+      }
+
+      return description;
+    }
+
+    /**
+     * Elements naming a field: aria-labelledby targets, then associated labels
+     * @param {HTMLElement} field
+     * @returns {HTMLElement[]}
+     */
+    fieldLabelElements(field) {
+      const root = field.getRootNode();
+      const labelledBy = (field.getAttribute('aria-labelledby') || '').split(/\s+/)
+        .filter(Boolean)
+        .map(id => root.getElementById(id))
+        .filter(Boolean);
+      return [...labelledBy, ...Array.from(field.labels || [])];
+    }
+
+    /**
+     * Accessible name of a field, close to what a screen reader announces
+     * @param {HTMLElement} field
+     * @returns {string}
+     */
+    fieldLabel(field) {
+      const [labelElement] = this.fieldLabelElements(field);
+      if (field.getAttribute('aria-labelledby') && labelElement) {
+        return this.cleanLabel(labelElement.textContent);
+      }
+      if (field.getAttribute('aria-label')) {
+        return this.cleanLabel(field.getAttribute('aria-label'));
+      }
+      if (labelElement) {
+        // A wrapping label also holds the field itself, e.g. all options of a select
+        const copy = labelElement.cloneNode(true);
+        copy.querySelectorAll(FIELD_SELECTOR).forEach(control => control.remove());
+        return this.cleanLabel(copy.textContent);
+      }
+      return this.cleanLabel(field.getAttribute('placeholder') || field.getAttribute('title') || '');
+    }
+
+    // Drops the required marker and trailing colon labels often carry
+    cleanLabel(text) {
+      return this.normalizeText(text).replace(/\s*[*:]+\s*$/, '').trim();
+    }
+
+    /**
+     * The control submitting a form: a submit button, or in formless groups a
+     * button whose text reads like a submit
+     * @param {HTMLElement} scope
+     * @returns {HTMLElement|null}
+     */
+    findSubmitControl(scope) {
+      const submit = scope.querySelector(SUBMIT_SELECTOR);
+      if (submit) return submit;
+
+      return Array.from(scope.querySelectorAll('button, [role="button"], a[href]')).find(button =>
+        SUBMIT_PATTERN.test(this.normalizeText(button.textContent || button.getAttribute('aria-label') || ''))
+      ) || null;
+    }
+
+    // Selectors in the shape captured elements are stored with
+    elementSelectors(element) {
+      const selectors = this.generateSelectors(element);
+      return {
+        cssSelector: selectors.css,
+        xpath: selectors.xpath,
+        selectors: selectors.candidates.slice(0, 5),
+        selectorChain: selectors.chain
+      };
+    }
 
     // Add a static test method for verification
     static test() {
@@ -224,14 +995,22 @@
       }
     }
 
-    analyzeElement(element) {
-      if (!element || !(element instanceof HTMLElement)) {
+    /**
+     * @param {HTMLElement} element
+     * @param {{pagination?: boolean, selectors?: boolean}} [options] pagination: also detect how the
+     *        surrounding list continues; selectors: run the selector engine. Both are too slow for hovering.
+     * @returns {Object}
+     */
+    analyzeElement(element, { pagination = false, selectors = true } = {}) {
+      // Elements from same-origin frames belong to another realm, so no instanceof
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) {
         console.warn('Invalid element provided to analyzeElement:', element);
         return {
           structure: {},
           patterns: { repeatingStructures: [] },
           relationships: [],
-          selectors: {}
+          selectors: {},
+          pagination: null
         };
       }
 
@@ -240,7 +1019,8 @@
           structure: this.analyzeStructure(element),
           patterns: this.findPatterns(element),
           relationships: this.findRelationships(element),
-          selectors: this.generateSelectors(element)
+          selectors: selectors ? this.generateSelectors(element) : {},
+          pagination: pagination ? this.detectPagination(element) : null
         };
       } catch (error) {
         console.error('Error analyzing element:', error);
@@ -248,7 +1028,8 @@
           structure: {},
           patterns: { repeatingStructures: [] },
           relationships: [],
-          selectors: {}
+          selectors: {},
+          pagination: null
         };
       }
     }
@@ -1,6 +1,9 @@
 // Import the analyzer
 // import ElementAnalyzer from './ElementAnalyzer';
 (() => {
+  // Injected by the manifest and again on demand, keep a single listener
+  if (window.elementInspector) return;
+
   function createOverlay(type) {
     const overlay = document.createElement('div');
     overlay.className = `element-inspector-highlight ${type}`;
@@ -15,8 +18,54 @@
     return overlay;
   }
 
+  // Markup that must not leave the page in a snapshot
+  const SNAPSHOT_EXCLUDED = 'script, .element-inspector-highlight, .element-inspector-tooltip, .element-inspector-styles';
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+  // Inputs whose value is never stored; hidden fields tend to carry CSRF and session tokens
+  const SENSITIVE_INPUT_TYPES = ['password', 'hidden'];
+  // Autofill hints of secrets in fields of any type: card details, one-time codes and passwords
+  const SENSITIVE_AUTOCOMPLETE = ['one-time-code', 'current-password', 'new-password'];
+
+  /**
+   * Whether an attribute is safe to store: no inline handlers, javascript: URLs or inline documents
+   * @param {Attr} attr
+   * @returns {boolean}
+   */
+  function isSnapshotAttribute(attr) {
+    const name = attr.name.toLowerCase();
+    if (name.startsWith('on') || name === 'srcdoc') return false;
+    return !(URL_ATTRIBUTES.includes(name) && /^\s*javascript:/i.test(attr.value));
+  }
+
+  function isSensitiveInput(node) {
+    if (node.tagName !== 'INPUT') return false;
+    const type = (node.getAttribute('type') || '').trim().toLowerCase();
+    const autocomplete = (node.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    return SENSITIVE_INPUT_TYPES.includes(type) ||
+      autocomplete.some(token => token.startsWith('cc-') || SENSITIVE_AUTOCOMPLETE.includes(token));
+  }
+
+  /**
+   * Strips scripts, inspector overlays, unsafe attributes and sensitive input values from a cloned tree
+   * @param {Element} root Detached clone, changed in place
+   * @returns {Element}
+   */
+  function sanitizeClone(root) {
+    root.querySelectorAll(SNAPSHOT_EXCLUDED).forEach(node => node.remove());
+    [root, ...root.querySelectorAll('*')].forEach(node => {
+      Array.from(node.attributes)
+        .filter(attr => !isSnapshotAttribute(attr))
+        .forEach(attr => node.removeAttribute(attr.name));
+      if (isSensitiveInput(node)) {
+        node.removeAttribute('value');
+      }
+    });
+    return root;
+  }
+
   function addStyles() {
     const style = document.createElement('style');
+    style.className = 'element-inspector-styles';
     style.textContent = `
       .element-inspector-highlight {
         position: fixed;
@@ -39,6 +88,22 @@
         background-color: rgba(68, 68, 255, 0.1);
         z-index: 9998;
       }
+      .element-inspector-highlight.selected {
+        border: 2px dashed #FF9800;
+        background-color: rgba(255, 152, 0, 0.15);
+        z-index: 9997;
+      }
+      .element-inspector-highlight.selected::after {
+        content: attr(data-order);
+        position: absolute;
+        top: -10px;
+        left: -10px;
+        padding: 1px 5px;
+        border-radius: 8px;
+        background: #FF9800;
+        color: white;
+        font: bold 11px monospace;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -59,6 +124,10 @@
       this.relatedOverlays = [];
       this.highlightedElements = new Set();
 
+      // Multi-select: elements in the order they were picked, each with its marker
+      this.selection = [];
+      this.selectionOverlays = new Map();
+
       // Create overlays
       this.highlightOverlay = createOverlay('primary');
       document.body.appendChild(this.highlightOverlay);
@@ -89,25 +158,38 @@
       this.handleMouseOver = this.handleMouseOver.bind(this);
       this.handleClick = this.handleClick.bind(this);
       this.handleKeyPress = this.handleKeyPress.bind(this);
+      this.handleScroll = this.handleScroll.bind(this);
 
       console.log('ElementInspector initialized successfully');
     }
 
-    start() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.snapshotDocument] Include the whole page in capture snapshots
+     */
+    start(options = {}) {
       console.log('Starting inspector');
       this.active = true;
-      document.body.style.cursor = 'crosshair';
-      
-      document.addEventListener('mousemove', this.handleMouseMove);
-      document.addEventListener('mouseover', this.handleMouseOver);
-      document.addEventListener('click', this.handleClick, true);
-      document.addEventListener('keydown', this.handleKeyPress);
+      this.snapshotDocument = Boolean(options.snapshotDocument);
+      window.scrollGrowthWatcher.start();
+
+      // Listen in the page and in every same-origin frame
+      this.listenedDocuments = this.getAccessibleDocuments(document);
+      this.listenedDocuments.forEach(doc => {
+        if (doc.body) doc.body.style.cursor = 'crosshair';
+        doc.addEventListener('mousemove', this.handleMouseMove);
+        doc.addEventListener('mouseover', this.handleMouseOver);
+        doc.addEventListener('click', this.handleClick, true);
+        doc.addEventListener('keydown', this.handleKeyPress);
+        doc.addEventListener('scroll', this.handleScroll, true);
+      });
     }
 
     stop() {
       console.log('Stopping inspector');
       this.active = false;
-      document.body.style.cursor = 'default';
+      this.hoverAnalysis = null;
+      window.scrollGrowthWatcher.stop();
       
       if (this.highlightOverlay) {
         this.highlightOverlay.style.display = 'none';
@@ -116,11 +198,80 @@
         this.tooltipElement.style.display = 'none';
       }
       this.clearRelatedOverlays();
+      this.clearSelection();
       
-      document.removeEventListener('mousemove', this.handleMouseMove);
-      document.removeEventListener('mouseover', this.handleMouseOver);
-      document.removeEventListener('click', this.handleClick, true);
-      document.removeEventListener('keydown', this.handleKeyPress);
+      (this.listenedDocuments || [document]).forEach(doc => {
+        if (doc.body) doc.body.style.cursor = 'default';
+        doc.removeEventListener('mousemove', this.handleMouseMove);
+        doc.removeEventListener('mouseover', this.handleMouseOver);
+        doc.removeEventListener('click', this.handleClick, true);
+        doc.removeEventListener('keydown', this.handleKeyPress);
+        doc.removeEventListener('scroll', this.handleScroll, true);
+      });
+      this.listenedDocuments = [];
+    }
+
+    /**
+     * Collects the document and the documents of all same-origin iframes below it
+     * @param {Document} doc
+     * @returns {Document[]}
+     */
+    getAccessibleDocuments(doc) {
+      const documents = [doc];
+      doc.querySelectorAll('iframe, frame').forEach(frame => {
+        try {
+          // Cross-origin frames throw or return null here
+          if (frame.contentDocument) {
+            documents.push(...this.getAccessibleDocuments(frame.contentDocument));
+          }
+        } catch (error) {
+          // Not accessible, skip it
+        }
+      });
+      return documents;
+    }
+
+    /**
+     * The innermost element an event happened on, looking through open shadow roots
+     * @param {Event} event
+     * @returns {HTMLElement}
+     */
+    getEventTarget(event) {
+      const path = event.composedPath ? event.composedPath() : [];
+      const inner = path.find(node => node.nodeType === Node.ELEMENT_NODE);
+      return inner || event.target;
+    }
+
+    /**
+     * Offset of a window's viewport inside the top-level viewport
+     * @param {Window} view
+     * @returns {{top: number, left: number}}
+     */
+    getFrameOffset(view) {
+      const offset = { top: 0, left: 0 };
+      while (view && view.frameElement) {
+        const frameRect = view.frameElement.getBoundingClientRect();
+        offset.top += frameRect.top + view.frameElement.clientTop;
+        offset.left += frameRect.left + view.frameElement.clientLeft;
+        view = view.parent;
+      }
+      return offset;
+    }
+
+    /**
+     * Bounding rect of an element in top-level viewport coordinates
+     * @param {HTMLElement} element
+     * @returns {{top: number, left: number, width: number, height: number}}
+     */
+    getViewportRect(element) {
+      const rect = element.getBoundingClientRect();
+      const offset = this.getFrameOffset(element.ownerDocument.defaultView);
+      return {
+        top: rect.top + offset.top,
+        left: rect.left + offset.left,
+        width: rect.width,
+        height: rect.height
+      };
     }
 
     handleClick(event) {
@@ -129,18 +280,24 @@
       event.preventDefault();
       event.stopPropagation();
       
-      const element = event.target;
+      const element = this.getEventTarget(event);
+
+      // Shift-click builds a selection; once one exists every click edits it
+      if (event.shiftKey || this.selection.length > 0) {
+        this.toggleSelection(element);
+        return;
+      }
+
       try {
-        const analysis = this.analyzer.analyzeElement(element);
+        // Items of lists and grids also come with an extraction schema, forms and fields with their form
         const elementInfo = {
-          ...this.getElementInfo(element),
-          analysis: analysis,
-          url: window.location.href,
-          timestamp: new Date().toISOString()
+          ...this.captureElement(element),
+          extractionSchema: this.analyzer.generateExtractionSchema(element),
+          formAnalysis: this.analyzer.analyzeForm(element)
         };
-    
-        // Send to background script
-        chrome.runtime.sendMessage({
+
+        // Send to background script, which takes the screenshots once the inspector overlays are gone
+        this.afterRepaint(() => chrome.runtime.sendMessage({
           action: 'elementSelected',
           elementInfo: elementInfo
         }, (response) => {
@@ -149,7 +306,7 @@
           } else {
             console.log('Element info sent successfully');
           }
-        });
+        }));
     
       } catch (error) {
         console.error('Error in handleClick:', error);
@@ -164,12 +321,158 @@
       if (event.key === 'Escape') {
         event.preventDefault();
         this.stop();
+      } else if (event.key === 'Enter' && this.selection.length > 0) {
+        event.preventDefault();
+        this.sendSelection();
+        this.stop();
+      }
+    }
+
+    handleScroll() {
+      if (!this.active) return;
+      this.selectionOverlays.forEach((overlay, element) => this.positionOverlay(overlay, element));
+    }
+
+    /**
+     * Everything sent to the server about one captured element
+     * @param {HTMLElement} element
+     * @param {boolean} [includeDocument] Whether the snapshot holds the whole page
+     * @returns {Object}
+     */
+    captureElement(element, includeDocument = this.snapshotDocument) {
+      const analysis = this.analyzer.analyzeElement(element, { pagination: true });
+      return {
+        // The selectors of the analysis, unless it failed
+        ...this.getElementInfo(element, analysis.selectors.candidates ? analysis.selectors : undefined),
+        fingerprint: this.analyzer.generateFingerprint(element),
+        analysis,
+        url: window.location.href,
+        // Where the background worker crops the screenshot from the visible tab
+        rect: this.getViewportRect(element),
+        devicePixelRatio: window.devicePixelRatio,
+        snapshot: this.getSnapshot(element, includeDocument),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    /**
+     * Sanitized markup of an element, the chain of elements above it and optionally its whole document
+     * @param {HTMLElement} element
+     * @param {boolean} includeDocument
+     * @returns {{element: string, ancestors: Object[], document?: string}}
+     */
+    getSnapshot(element, includeDocument) {
+      const snapshot = {
+        element: sanitizeClone(element.cloneNode(true)).outerHTML,
+        ancestors: this.getAncestorChain(element)
+      };
+      if (includeDocument) {
+        const doc = element.ownerDocument;
+        const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : '';
+        snapshot.document = doctype + sanitizeClone(doc.documentElement.cloneNode(true)).outerHTML;
+      }
+      return snapshot;
+    }
+
+    /**
+     * The elements above an element, innermost first, stepping out of open shadow roots to their host
+     * @param {HTMLElement} element
+     * @returns {{tagName: string, attributes: Object, index: number, shadowHost: boolean}[]}
+     */
+    getAncestorChain(element) {
+      const chain = [];
+      let node = element;
+      while (node) {
+        const parent = node.parentElement;
+        // instanceof ShadowRoot fails for nodes of same-origin frames, which have their own globals
+        const root = node.getRootNode();
+        const host = !parent && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root.host : null;
+        const ancestor = parent || host;
+        if (!ancestor) break;
+
+        const siblings = ancestor.parentElement ? Array.from(ancestor.parentElement.children) : [ancestor];
+        chain.push({
+          tagName: ancestor.tagName.toLowerCase(),
+          attributes: Object.fromEntries(Array.from(ancestor.attributes)
+            .filter(isSnapshotAttribute)
+            .map(attr => [attr.name, attr.value])),
+          // 1-based, as in :nth-child()
+          index: siblings.indexOf(ancestor) + 1,
+          shadowHost: Boolean(host)
+        });
+        node = ancestor;
+      }
+      return chain;
+    }
+
+    /**
+     * Runs a callback after the next frame is painted, so DOM changes made now are visible to tab captures
+     * @param {Function} callback
+     */
+    afterRepaint(callback) {
+      requestAnimationFrame(() => requestAnimationFrame(callback));
+    }
+
+    /**
+     * Adds an element to the multi-select set, or removes it when already there
+     * @param {HTMLElement} element
+     */
+    toggleSelection(element) {
+      const index = this.selection.indexOf(element);
+      if (index === -1) {
+        this.selection.push(element);
+        const overlay = createOverlay('selected');
+        document.body.appendChild(overlay);
+        this.selectionOverlays.set(element, overlay);
+        this.positionOverlay(overlay, element);
+      } else {
+        this.selection.splice(index, 1);
+        this.selectionOverlays.get(element).remove();
+        this.selectionOverlays.delete(element);
+      }
+
+      // Markers show the selection order
+      this.selection.forEach((selected, position) => {
+        this.selectionOverlays.get(selected).dataset.order = position + 1;
+      });
+    }
+
+    clearSelection() {
+      this.selectionOverlays.forEach(overlay => overlay.remove());
+      this.selectionOverlays.clear();
+      this.selection = [];
+    }
+
+    /**
+     * Sends the selected elements as one grouped capture, with how they relate
+     */
+    sendSelection() {
+      try {
+        const { container, members } = this.analyzer.analyzeGroup(this.selection);
+        const group = {
+          url: window.location.href,
+          timestamp: new Date().toISOString(),
+          container,
+          // The page is the same for every member, only the first one carries it
+          elements: this.selection.map((element, index) => ({
+            ...this.captureElement(element, this.snapshotDocument && index === 0),
+            group: { selectionOrder: index, ...members[index] }
+          }))
+        };
+
+        this.afterRepaint(() => chrome.runtime.sendMessage({ action: 'elementsSelected', group }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Error sending selection:', chrome.runtime.lastError);
+          }
+        }));
+      } catch (error) {
+        console.error('Error in sendSelection:', error);
       }
     }
 
     handleMouseMove(event) {
       if (!this.active) return;
-      this.updateTooltip(this.hoveredElement || event.target, event);
+      this.updateTooltip(this.hoveredElement || this.getEventTarget(event), event);
     }
 
     handleMouseOver(event) {
@@ -178,11 +481,11 @@
       event.preventDefault();
       event.stopPropagation();
       
-      this.hoveredElement = event.target;
+      this.hoveredElement = this.getEventTarget(event);
       
       try {
         // Analyze the element
-        const analysis = this.analyzer.analyzeElement(this.hoveredElement);
+        const analysis = this.getHoverAnalysis(this.hoveredElement);
         
         // Update highlights
         this.updateHighlights(this.hoveredElement, analysis);
@@ -201,12 +504,7 @@
         
         // Highlight main element
         if (element && this.highlightOverlay) {
-          const rect = element.getBoundingClientRect();
-          this.highlightOverlay.style.top = `${rect.top + window.scrollY}px`;
-          this.highlightOverlay.style.left = `${rect.left + window.scrollX}px`;
-          this.highlightOverlay.style.width = `${rect.width}px`;
-          this.highlightOverlay.style.height = `${rect.height}px`;
-          this.highlightOverlay.style.display = 'block';
+          this.positionOverlay(this.highlightOverlay, element);
         }
         
         // Rest of your highlighting code...
@@ -216,23 +514,37 @@
     }
 
 
+    /**
+     * Analysis of the hovered element without selectors, worked out once per element
+     * rather than on every mouse event
+     * @param {HTMLElement} element
+     * @returns {Object}
+     */
+    getHoverAnalysis(element) {
+      if (!this.hoverAnalysis || this.hoverAnalysis.element !== element) {
+        this.hoverAnalysis = { element, analysis: this.analyzer.analyzeElement(element, { selectors: false }) };
+      }
+      return this.hoverAnalysis.analysis;
+    }
+
     // Continuing ElementInspector class...
 
     updateTooltip(element, event) {
-      const analysis = this.analyzer.analyzeElement(element);
-      const info = this.getElementInfo(element);
+      const analysis = this.getHoverAnalysis(element);
+      // Selectors are generated once the element is captured, not while hovering
+      const className = element.getAttribute('class') || '';
       
       let tooltipContent = `
         <div style="margin-bottom: 4px">
-          <b>${info.tagName}</b>${info.id ? ` #${info.id}` : ''}
+          <b>${element.tagName.toLowerCase()}</b>${element.id ? ` #${element.id}` : ''}
         </div>
       `;
 
       // Add classes
-      if (info.className) {
+      if (className.trim()) {
         tooltipContent += `
           <div style="color: #AFF">
-            ${info.className.split(' ').map(c => `.${c}`).join(' ')}
+            ${className.trim().split(/\s+/).map(c => `.${c}`).join(' ')}
           </div>
         `;
       }
@@ -266,6 +578,15 @@
         `;
       }
 
+      // Multi-select hint
+      tooltipContent += `
+        <div style="color: #FC9; margin-top: 4px">
+          ${this.selection.length > 0
+            ? `${this.selection.length} selected: Enter to send, Esc to cancel`
+            : 'Shift-click to select several elements'}
+        </div>
+      `;
+
       // Update tooltip content and position
       this.tooltipElement.innerHTML = tooltipContent;
       this.positionTooltip(event);
@@ -276,9 +597,10 @@
       const tooltipRect = tooltip.getBoundingClientRect();
       const margin = 10;
 
-      // Initial position at cursor
-      let left = event.clientX + margin;
-      let top = event.clientY + margin;
+      // Initial position at cursor, shifted out of any frame the event came from
+      const offset = this.getFrameOffset(event.view);
+      let left = event.clientX + offset.left + margin;
+      let top = event.clientY + offset.top + margin;
 
       // Adjust if would go off screen
       if (left + tooltipRect.width > window.innerWidth) {
@@ -294,9 +616,10 @@
     }
 
     positionOverlay(overlay, element) {
-      const rect = element.getBoundingClientRect();
-      overlay.style.top = `${rect.top + window.scrollY}px`;
-      overlay.style.left = `${rect.left + window.scrollX}px`;
+      // Overlays are position: fixed in the top document
+      const rect = this.getViewportRect(element);
+      overlay.style.top = `${rect.top}px`;
+      overlay.style.left = `${rect.left}px`;
       overlay.style.width = `${rect.width}px`;
       overlay.style.height = `${rect.height}px`;
       overlay.style.display = 'block';
@@ -315,14 +638,22 @@
       }
     }
 
-    getElementInfo(element) {
+    /**
+     * @param {HTMLElement} element
+     * @param {Object} [selectors] Output of generateSelectors when the caller already has it
+     * @returns {Object}
+     */
+    getElementInfo(element, selectors = this.analyzer.generateSelectors(element)) {
       return {
         tagName: element.tagName.toLowerCase(),
         id: element.id,
         className: element.className,
-        xpath: this.generateXPath(element),
-        cssSelector: this.generateCssSelector(element),
-        attributes: this.getRelevantAttributes(element),
+        xpath: selectors.xpath,
+        cssSelector: selectors.css,
+        selectors: selectors.candidates,
+        selectorChain: selectors.chain,
+        // Attr nodes do not survive serialization, send plain name/value pairs
+        attributes: Object.fromEntries(this.getRelevantAttributes(element).map(attr => [attr.name, attr.value])),
         text: element.textContent.trim().substring(0, 100),
         role: element.getAttribute('role') || this.getImplicitRole(element)
       };
@@ -341,73 +672,6 @@
         });
     }
 
-    generateXPath(element) {
-      const paths = [];
-      let current = element;
-      
-      while (current && current.nodeType === Node.ELEMENT_NODE) {
-        let index = 1;
-        let sibling = current.previousSibling;
-        
-        while (sibling) {
-          if (sibling.nodeType === Node.ELEMENT_NODE && 
-              sibling.tagName === current.tagName) {
-            index++;
-          }
-          sibling = sibling.previousSibling;
-        }
-        
-        const tagName = current.tagName.toLowerCase();
-        paths.unshift(`${tagName}[${index}]`);
-        current = current.parentNode;
-      }
-      
-      return `/${paths.join('/')}`;
-    }
-
-    generateCssSelector(element) {
-      const paths = [];
-      let current = element;
-      
-      while (current && current.nodeType === Node.ELEMENT_NODE) {
-        let selector = current.tagName.toLowerCase();
-        
-        if (current.id) {
-          selector += `#${current.id}`;
-          paths.unshift(selector);
-          break;
-        }
-        
-        if (current.className) {
-          selector += `.${Array.from(current.classList).join('.')}`;
-        }
-        
-        // Add attribute selectors for key attributes
-        const keyAttrs = this.getRelevantAttributes(current)
-          .filter(attr => this.isIdentifyingAttribute(attr.name));
-        
-        if (keyAttrs.length > 0) {
-          selector += keyAttrs
-            .map(attr => `[${attr.name}="${attr.value}"]`)
-            .join('');
-        }
-        
-        paths.unshift(selector);
-        current = current.parentNode;
-        
-        // Stop if we have a unique selector
-        if (document.querySelectorAll(paths.join(' > ')).length === 1) {
-          break;
-        }
-      }
-      
-      return paths.join(' > ');
-    }
-
-    isIdentifyingAttribute(name) {
-      return ['name', 'type', 'role', 'data-testid', 'data-id'].includes(name);
-    }
-
     getImplicitRole(element) {
       // Map of elements to their implicit ARIA roles
       const roleMap = {
@@ -485,7 +749,7 @@
         if (!window.elementInspector && !initializeInspector()) {
           throw new Error('Failed to initialize inspector');
         }
-        window.elementInspector.start();
+        window.elementInspector.start(message.options);
         sendResponse({ success: true });
       } catch (error) {
         console.error('Error starting inspector:', error);
@@ -0,0 +1,262 @@
+// InteractionRecorder.js - Passively records user interactions as replayable flow steps
+(() => {
+  // Injected by the manifest and again on demand, keep a single listener
+  if (window.interactionRecorder) return;
+
+  // Typing is reported once the user pauses, not per keystroke
+  const INPUT_DEBOUNCE = 500;
+
+  // Fields whose changes are recorded as type steps
+  const TEXT_INPUT_TYPES = ['text', 'email', 'password', 'search', 'tel', 'url', 'number'];
+  // Fields recorded as set steps: replaying keystrokes would not enter their value, it is assigned
+  const SET_INPUT_TYPES = ['date', 'datetime-local', 'month', 'time', 'week', 'color', 'range'];
+
+  class InteractionRecorder {
+    constructor() {
+      if (!window.ElementAnalyzer) {
+        throw new Error('ElementAnalyzer not found');
+      }
+
+      this.analyzer = new window.ElementAnalyzer();
+      this.active = false;
+      this.listenedDocuments = [];
+      this.pendingInput = null;
+      this.lastClicked = null;
+
+      this.handleClick = this.handleClick.bind(this);
+      this.handleInput = this.handleInput.bind(this);
+      this.handleChange = this.handleChange.bind(this);
+      this.handleSubmit = this.handleSubmit.bind(this);
+      this.flushInput = this.flushInput.bind(this);
+    }
+
+    start() {
+      if (this.active) return;
+      console.log('Starting interaction recorder');
+      this.active = true;
+
+      // Capture phase so page handlers that stop propagation cannot hide events;
+      // nothing is prevented, the page behaves as usual
+      this.listenedDocuments = this.getAccessibleDocuments(document);
+      this.listenedDocuments.forEach(doc => {
+        doc.addEventListener('click', this.handleClick, true);
+        doc.addEventListener('input', this.handleInput, true);
+        doc.addEventListener('change', this.handleChange, true);
+        doc.addEventListener('submit', this.handleSubmit, true);
+        doc.addEventListener('focusout', this.flushInput, true);
+      });
+      window.addEventListener('pagehide', this.flushInput);
+    }
+
+    stop() {
+      if (!this.active) return;
+      console.log('Stopping interaction recorder');
+      this.flushInput();
+      this.active = false;
+
+      this.listenedDocuments.forEach(doc => {
+        doc.removeEventListener('click', this.handleClick, true);
+        doc.removeEventListener('input', this.handleInput, true);
+        doc.removeEventListener('change', this.handleChange, true);
+        doc.removeEventListener('submit', this.handleSubmit, true);
+        doc.removeEventListener('focusout', this.flushInput, true);
+      });
+      window.removeEventListener('pagehide', this.flushInput);
+      this.listenedDocuments = [];
+      this.lastClicked = null;
+    }
+
+    /**
+     * Collects the document and the documents of all same-origin iframes below it
+     * @param {Document} doc
+     * @returns {Document[]}
+     */
+    getAccessibleDocuments(doc) {
+      const documents = [doc];
+      doc.querySelectorAll('iframe, frame').forEach(frame => {
+        try {
+          if (frame.contentDocument) {
+            documents.push(...this.getAccessibleDocuments(frame.contentDocument));
+          }
+        } catch (error) {
+          // Cross-origin, skip it
+        }
+      });
+      return documents;
+    }
+
+    /**
+     * The innermost element an event happened on, looking through open shadow roots
+     * @param {Event} event
+     * @returns {HTMLElement}
+     */
+    getEventTarget(event) {
+      const path = event.composedPath ? event.composedPath() : [];
+      const inner = path.find(node => node.nodeType === Node.ELEMENT_NODE);
+      return inner || event.target;
+    }
+
+    /**
+     * Whether a field reports its value through input events (recorded as typing)
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    isTextField(element) {
+      const tagName = element.tagName.toLowerCase();
+      if (tagName === 'textarea') return true;
+      if (element.isContentEditable) return true;
+      const type = (element.type || 'text').toLowerCase();
+      return tagName === 'input' && (TEXT_INPUT_TYPES.includes(type) || SET_INPUT_TYPES.includes(type));
+    }
+
+    /**
+     * Whether a field is recorded through its change event instead of clicks
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    isToggle(element) {
+      return element.tagName.toLowerCase() === 'input' && ['checkbox', 'radio'].includes(element.type);
+    }
+
+    handleClick(event) {
+      if (!this.active) return;
+      const element = this.getEventTarget(event);
+
+      // Fields are replayed through their values, clicking into them adds nothing
+      const tagName = element.tagName.toLowerCase();
+      if (this.isTextField(element) || this.isToggle(element) ||
+          tagName === 'select' || tagName === 'option') {
+        return;
+      }
+      // Clicks on a label toggle its control, which records its own change
+      if (element.closest('label') && element.closest('label').control) {
+        return;
+      }
+
+      this.flushInput();
+      this.lastClicked = element;
+      this.record('click', element);
+    }
+
+    handleInput(event) {
+      if (!this.active) return;
+      const element = this.getEventTarget(event);
+      if (!this.isTextField(element)) return;
+
+      if (this.pendingInput && this.pendingInput.element !== element) {
+        this.flushInput();
+      }
+      if (this.pendingInput) {
+        clearTimeout(this.pendingInput.timer);
+      }
+      this.pendingInput = {
+        element,
+        timer: setTimeout(this.flushInput, INPUT_DEBOUNCE)
+      };
+    }
+
+    handleChange(event) {
+      if (!this.active) return;
+      const element = this.getEventTarget(event);
+      const tagName = element.tagName.toLowerCase();
+
+      if (tagName === 'select') {
+        this.flushInput();
+        const values = Array.from(element.selectedOptions).map(option => option.value);
+        this.record('select', element, { value: element.multiple ? values : values[0] || '' });
+      } else if (this.isToggle(element)) {
+        this.flushInput();
+        this.record('check', element, { value: element.checked });
+      } else if (this.isTextField(element)) {
+        // Change fires on commit, record whatever typing is still pending
+        this.flushInput();
+      }
+    }
+
+    handleSubmit(event) {
+      if (!this.active) return;
+      this.flushInput();
+
+      // Submitting through a button is replayed by its recorded click
+      if (event.submitter && event.submitter === this.lastClicked) return;
+      this.record('submit', this.getEventTarget(event));
+    }
+
+    /**
+     * Records the pending typing step, if any, as a set step for date, time, color and range inputs
+     */
+    flushInput() {
+      if (!this.pendingInput) return;
+      const { element, timer } = this.pendingInput;
+      clearTimeout(timer);
+      this.pendingInput = null;
+
+      // Never send what is typed into password fields
+      if (element.type === 'password') {
+        this.record('type', element, { masked: true });
+        return;
+      }
+      if (element.tagName.toLowerCase() === 'input' && SET_INPUT_TYPES.includes(element.type)) {
+        this.record('set', element, { value: element.value });
+        return;
+      }
+      const value = element.isContentEditable ? element.textContent : element.value;
+      this.record('type', element, { value });
+    }
+
+    /**
+     * Builds a step for an element and hands it to the background worker
+     * @param {string} type click, type, set, select, check or submit
+     * @param {HTMLElement} element
+     * @param {Object} details Step specific fields such as value
+     */
+    record(type, element, details = {}) {
+      try {
+        const selectors = this.analyzer.generateSelectors(element);
+        const step = {
+          type,
+          ...details,
+          tagName: element.tagName.toLowerCase(),
+          text: (element.textContent || '').trim().substring(0, 100),
+          cssSelector: selectors.css,
+          xpath: selectors.xpath,
+          selectors: selectors.candidates,
+          selectorChain: selectors.chain,
+          url: window.location.href,
+          timestamp: new Date().toISOString()
+        };
+
+        chrome.runtime.sendMessage({ action: 'recordStep', step }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('Error sending recorded step:', chrome.runtime.lastError);
+          }
+        });
+      } catch (error) {
+        console.error('Error recording step:', error);
+      }
+    }
+  }
+
+  try {
+    window.interactionRecorder = new InteractionRecorder();
+    console.log('InteractionRecorder initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize InteractionRecorder:', error);
+    return;
+  }
+
+  // Recording is switched on and off by the background worker. This script is injected last,
+  // so answering its ping tells the worker every content script is in place
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'ping') {
+      sendResponse({ ready: true });
+    } else if (message.action === 'startRecording') {
+      window.interactionRecorder.start();
+      sendResponse({ success: true });
+    } else if (message.action === 'stopRecording') {
+      window.interactionRecorder.stop();
+      sendResponse({ success: true });
+    }
+  });
+
+})();
@@ -0,0 +1,468 @@
+// SelectorEngine.js - Ranked, verified selector generation for captured elements
+(() => {
+
+  // Attributes that exist purely to make elements addressable from tests
+  const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+
+  // Attributes that usually survive redesigns, with their base stability score
+  const STABLE_ATTRIBUTES = {
+    'name': 80,
+    'aria-label': 80,
+    'for': 75,
+    'placeholder': 70,
+    'title': 65,
+    'alt': 65,
+    'type': 50,
+    'href': 50
+  };
+
+  const LANDMARK_TAGS = ['main', 'nav', 'header', 'footer', 'aside', 'form', 'dialog'];
+  const LANDMARK_ROLES = ['main', 'navigation', 'banner', 'contentinfo', 'complementary', 'form', 'search', 'dialog', 'region'];
+
+  const STRATEGY_SCORES = {
+    id: 100,
+    testAttribute: 95,
+    text: 65,
+    landmark: 55,
+    structural: 35,
+    positional: 20
+  };
+
+  const MAX_TEXT_LENGTH = 40;
+
+  class SelectorEngine {
+    /**
+     * @param {Document|ShadowRoot} root Document or shadow root used to verify candidates
+     */
+    constructor(root = document) {
+      this.root = root;
+      // XPath cannot see into shadow trees
+      this.supportsXPath = !root.host;
+    }
+
+    /**
+     * Generates every selector candidate for an element, verifies each one
+     * against the live document and returns them ranked best first.
+     * @param {HTMLElement} element
+     * @returns {Array<{strategy: string, type: string, selector: string, matchCount: number, unique: boolean, score: number}>}
+     */
+    generate(element) {
+      const candidates = [
+        ...this.idCandidates(element),
+        ...this.testAttributeCandidates(element),
+        ...this.attributeCandidates(element),
+        ...this.textCandidates(element),
+        ...this.landmarkCandidates(element),
+        ...this.structuralCandidates(element)
+      ];
+
+      const seen = new Set();
+      return candidates
+        .filter(candidate => {
+          const key = `${candidate.type}:${candidate.selector}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .filter(candidate => candidate.type !== 'xpath' || this.supportsXPath)
+        .map(candidate => this.verify(element, candidate))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Returns the highest ranked unique candidate of the given type
+     * @param {Array} candidates
+     * @param {string} type 'css' or 'xpath'
+     * @returns {string}
+     */
+    static pickBest(candidates, type) {
+      const best = candidates.find(candidate => candidate.type === type && candidate.unique) ||
+        candidates.find(candidate => candidate.type === type);
+      return best ? best.selector : '';
+    }
+
+    /**
+     * Builds the step-by-step path to an element that may sit inside same-origin
+     * frames or open shadow roots. Each step is resolved inside the document or
+     * shadow root opened by the previous one: 'frame' steps select an iframe,
+     * 'shadow' steps select a shadow host and the final 'element' step the target.
+     * @param {HTMLElement} element
+     * @returns {Array<{type: string, selector: string, selectorType: string}>}
+     */
+    static generateChain(element) {
+      const steps = [];
+      let current = element;
+      let type = 'element';
+
+      while (current) {
+        const root = current.getRootNode();
+        const engine = new SelectorEngine(root);
+        const candidates = engine.generate(current);
+        const css = candidates.find(candidate => candidate.type === 'css' && candidate.unique) ||
+          candidates.find(candidate => candidate.type === 'css');
+        steps.unshift({ type, selector: css ? css.selector : '', selectorType: 'css' });
+
+        if (root.host) {
+          current = root.host;
+          type = 'shadow';
+        } else if (root.defaultView && root.defaultView.frameElement) {
+          current = root.defaultView.frameElement;
+          type = 'frame';
+        } else {
+          current = null;
+        }
+      }
+
+      return steps;
+    }
+
+    /**
+     * Resolves a chain from generateChain back to the matching elements
+     * @param {Array<{type: string, selector: string, selectorType?: string}>} chain
+     * @param {Document} root
+     * @returns {Element[]}
+     */
+    static resolveChain(chain, root = document) {
+      let scope = root;
+      for (let i = 0; i < chain.length; i++) {
+        const step = chain[i];
+        const matches = SelectorEngine.query(step.selector, step.selectorType || 'css', scope);
+        if (i === chain.length - 1) return matches;
+        if (matches.length === 0) return [];
+
+        scope = step.type === 'frame' ? matches[0].contentDocument : matches[0].shadowRoot;
+        if (!scope) return [];
+      }
+      return [];
+    }
+
+    /**
+     * Resolves a CSS or XPath selector to the list of matching elements
+     * @param {string} selector
+     * @param {string} type 'css' or 'xpath'
+     * @param {Document|Element} root
+     * @returns {Element[]}
+     */
+    static query(selector, type = 'css', root = document) {
+      if (type === 'xpath') {
+        const ownerDocument = root.ownerDocument || root;
+        const snapshot = ownerDocument.evaluate(
+          selector, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null
+        );
+        const matches = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+          matches.push(snapshot.snapshotItem(i));
+        }
+        return matches;
+      }
+      return Array.from(root.querySelectorAll(selector));
+    }
+
+    /**
+     * Quotes a value for use inside an XPath expression
+     * @param {string} value
+     * @returns {string}
+     */
+    static xpathLiteral(value) {
+      if (!value.includes('"')) return `"${value}"`;
+      if (!value.includes("'")) return `'${value}'`;
+      const parts = value.split('"').map(part => `"${part}"`);
+      return `concat(${parts.join(', \'"\', ')})`;
+    }
+
+    verify(element, candidate) {
+      let matches;
+      try {
+        matches = SelectorEngine.query(candidate.selector, candidate.type, this.root);
+      } catch (error) {
+        return null;
+      }
+
+      if (!matches.includes(element)) return null;
+
+      const unique = matches.length === 1;
+      let score = candidate.score - Math.floor(candidate.selector.length / 25);
+      if (!unique) score -= 60;
+
+      return {
+        strategy: candidate.strategy,
+        type: candidate.type,
+        selector: candidate.selector,
+        matchCount: matches.length,
+        unique,
+        score: Math.max(score, 0)
+      };
+    }
+
+    idCandidates(element) {
+      if (!element.id) return [];
+
+      const penalty = this.isDynamicValue(element.id) ? 40 : 0;
+      const score = STRATEGY_SCORES.id - penalty;
+      return [
+        { strategy: 'id', type: 'css', selector: `#${CSS.escape(element.id)}`, score },
+        { strategy: 'id', type: 'xpath', selector: `//*[@id=${SelectorEngine.xpathLiteral(element.id)}]`, score: score - 2 }
+      ];
+    }
+
+    testAttributeCandidates(element) {
+      const candidates = [];
+      const tagName = element.tagName.toLowerCase();
+
+      TEST_ATTRIBUTES.forEach(name => {
+        const value = element.getAttribute(name);
+        if (!value) return;
+
+        const css = `[${name}="${CSS.escape(value)}"]`;
+        candidates.push(
+          { strategy: 'testAttribute', type: 'css', selector: css, score: STRATEGY_SCORES.testAttribute },
+          { strategy: 'testAttribute', type: 'css', selector: `${tagName}${css}`, score: STRATEGY_SCORES.testAttribute - 1 },
+          {
+            strategy: 'testAttribute',
+            type: 'xpath',
+            selector: `//*[@${name}=${SelectorEngine.xpathLiteral(value)}]`,
+            score: STRATEGY_SCORES.testAttribute - 2
+          }
+        );
+      });
+
+      return candidates;
+    }
+
+    attributeCandidates(element) {
+      const candidates = [];
+      const tagName = element.tagName.toLowerCase();
+
+      Object.entries(STABLE_ATTRIBUTES).forEach(([name, baseScore]) => {
+        const value = element.getAttribute(name);
+        if (!value || value.length > 100) return;
+
+        const score = baseScore - (this.isDynamicValue(value) ? 40 : 0);
+        candidates.push(
+          {
+            strategy: 'attribute',
+            type: 'css',
+            selector: `${tagName}[${name}="${CSS.escape(value)}"]`,
+            score
+          },
+          {
+            strategy: 'attribute',
+            type: 'xpath',
+            selector: `//${tagName}[@${name}=${SelectorEngine.xpathLiteral(value)}]`,
+            score: score - 2
+          }
+        );
+      });
+
+      // type alone is rarely unique, so also try it paired with name
+      const type = element.getAttribute('type');
+      const name = element.getAttribute('name');
+      if (type && name) {
+        candidates.push({
+          strategy: 'attribute',
+          type: 'css',
+          selector: `${tagName}[type="${CSS.escape(type)}"][name="${CSS.escape(name)}"]`,
+          score: STABLE_ATTRIBUTES.name - 2
+        });
+      }
+
+      return candidates;
+    }
+
+    textCandidates(element) {
+      const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+      if (!text || text.length > MAX_TEXT_LENGTH) return [];
+
+      const tagName = element.tagName.toLowerCase();
+      return [{
+        strategy: 'text',
+        type: 'xpath',
+        selector: `//${tagName}[normalize-space(.)=${SelectorEngine.xpathLiteral(text)}]`,
+        score: STRATEGY_SCORES.text
+      }];
+    }
+
+    landmarkCandidates(element) {
+      const landmark = this.findLandmark(element);
+      if (!landmark) return [];
+
+      const landmarkSelector = this.landmarkSelector(landmark);
+      const candidates = [{
+        strategy: 'landmark',
+        type: 'css',
+        selector: `${landmarkSelector} ${this.segmentFor(element)}`,
+        score: STRATEGY_SCORES.landmark
+      }];
+
+      const path = this.cssPath(element, landmark);
+      if (path.segments.length > 1) {
+        candidates.push({
+          strategy: 'landmark',
+          type: 'css',
+          selector: `${landmarkSelector} > ${path.selector}`,
+          score: STRATEGY_SCORES.landmark - 5 - path.positional * 5
+        });
+      }
+
+      return candidates;
+    }
+
+    structuralCandidates(element) {
+      const path = this.cssPath(element, null, true);
+      return [
+        {
+          strategy: 'structural',
+          type: 'css',
+          selector: path.selector,
+          score: STRATEGY_SCORES.structural - path.positional * 3
+        },
+        {
+          strategy: 'positional',
+          type: 'xpath',
+          selector: this.positionalXPath(element),
+          score: STRATEGY_SCORES.positional
+        }
+      ];
+    }
+
+    /**
+     * Builds a child-combinator path from element up to (excluding) ancestor.
+     * With stopWhenUnique the path is cut as soon as it matches only element.
+     */
+    cssPath(element, ancestor, stopWhenUnique = false) {
+      const segments = [];
+      let positional = 0;
+      let current = element;
+
+      while (current && current !== ancestor && current.nodeType === Node.ELEMENT_NODE) {
+        if (current !== element && current.id && !this.isDynamicValue(current.id)) {
+          segments.unshift(`#${CSS.escape(current.id)}`);
+          break;
+        }
+
+        const segment = this.segmentFor(current);
+        if (segment.includes(':nth-of-type')) positional++;
+        segments.unshift(segment);
+
+        if (stopWhenUnique && this.countMatches(segments.join(' > ')) === 1) {
+          break;
+        }
+        current = current.parentElement;
+      }
+
+      return { segments, positional, selector: segments.join(' > ') };
+    }
+
+    segmentFor(element) {
+      let segment = element.tagName.toLowerCase();
+
+      const classes = this.getStableClasses(element).slice(0, 2);
+      if (classes.length > 0) {
+        segment += classes.map(cls => `.${CSS.escape(cls)}`).join('');
+      }
+
+      const parent = element.parentElement;
+      if (parent) {
+        const lookalikes = Array.from(parent.children).filter(sibling => sibling.matches(segment));
+        if (lookalikes.length > 1) {
+          segment += `:nth-of-type(${this.nthOfType(element)})`;
+        }
+      }
+
+      return segment;
+    }
+
+    positionalXPath(element) {
+      const paths = [];
+      let current = element;
+
+      while (current && current.nodeType === Node.ELEMENT_NODE) {
+        paths.unshift(`${current.tagName.toLowerCase()}[${this.nthOfType(current)}]`);
+        current = current.parentElement;
+      }
+
+      return `/${paths.join('/')}`;
+    }
+
+    nthOfType(element) {
+      let index = 1;
+      let sibling = element.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === element.tagName) index++;
+        sibling = sibling.previousElementSibling;
+      }
+      return index;
+    }
+
+    findLandmark(element) {
+      let current = element.parentElement;
+      while (current && current !== this.root.body) {
+        const role = current.getAttribute('role');
+        if ((current.id && !this.isDynamicValue(current.id)) ||
+            TEST_ATTRIBUTES.some(name => current.hasAttribute(name)) ||
+            LANDMARK_TAGS.includes(current.tagName.toLowerCase()) ||
+            (role && LANDMARK_ROLES.includes(role))) {
+          return current;
+        }
+        current = current.parentElement;
+      }
+      return null;
+    }
+
+    landmarkSelector(landmark) {
+      if (landmark.id && !this.isDynamicValue(landmark.id)) {
+        return `#${CSS.escape(landmark.id)}`;
+      }
+
+      const testAttribute = TEST_ATTRIBUTES.find(name => landmark.hasAttribute(name));
+      if (testAttribute) {
+        return `[${testAttribute}="${CSS.escape(landmark.getAttribute(testAttribute))}"]`;
+      }
+
+      const tagName = landmark.tagName.toLowerCase();
+      const role = landmark.getAttribute('role');
+      const label = landmark.getAttribute('aria-label');
+      let selector = role ? `${tagName}[role="${CSS.escape(role)}"]` : tagName;
+      if (label) selector += `[aria-label="${CSS.escape(label)}"]`;
+      return selector;
+    }
+
+    /**
+     * Classes that look hand-written rather than generated or stateful
+     * @param {HTMLElement} element
+     * @returns {string[]}
+     */
+    getStableClasses(element) {
+      return Array.from(element.classList).filter(cls =>
+        !cls.match(/^(js-|is-|has-)|active|visible|hidden|hover|focus|selected|open/) &&
+        !cls.match(/^(css|sc|jsx|emotion)-|__[a-z0-9]{5,}$|\d{3,}/i)
+      );
+    }
+
+    /**
+     * Heuristic for ids and attribute values generated at runtime
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isDynamicValue(value) {
+      return /\d{4,}|[a-f0-9]{8,}|^(ember|react|ng-|mui-|radix-|:r)/i.test(value);
+    }
+
+    countMatches(selector) {
+      try {
+        return this.root.querySelectorAll(selector).length;
+      } catch (error) {
+        return 0;
+      }
+    }
+  }
+
+  try {
+    window.SelectorEngine = SelectorEngine;
+    console.log('SelectorEngine initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize SelectorEngine:', error);
+  }
+
+})();
@@ -1,9 +1,15 @@
 // popup.js
 document.addEventListener('DOMContentLoaded', async () => {
   const serverUrl = document.getElementById('serverUrl');
+  const pairingToken = document.getElementById('pairingToken');
+  const clientLabel = document.getElementById('clientLabel');
   const connectButton = document.getElementById('connect');
   const inspectButton = document.getElementById('startInspect');
+  const snapshotDocument = document.getElementById('snapshotDocument');
+  const flowName = document.getElementById('flowName');
+  const recordButton = document.getElementById('toggleRecording');
   const status = document.getElementById('status');
+  const retryInfo = document.getElementById('retryInfo');
   
   // Check if current page is inspectable
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -16,20 +22,34 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (isRestricted) {
     inspectButton.disabled = true;
     inspectButton.title = 'Cannot inspect restricted pages';
+    recordButton.title = 'Cannot record on restricted pages';
     status.textContent = 'This page cannot be inspected';
     status.className = 'error';
   }
 
   // Load saved server URL
-  const savedConfig = await chrome.storage.local.get(['serverUrl', 'serverConnected']);
+  const savedConfig = await chrome.storage.local.get([
+    'serverUrl', 'pairingToken', 'clientLabel', 'connection', 'recording', 'snapshotDocument', 'pendingCount', 'pendingError'
+  ]);
   if (savedConfig.serverUrl) {
     serverUrl.value = savedConfig.serverUrl;
   } else {
     serverUrl.value = 'ws://localhost:3000';
   }
+  pairingToken.value = savedConfig.pairingToken || '';
+  clientLabel.value = savedConfig.clientLabel || '';
+  snapshotDocument.checked = Boolean(savedConfig.snapshotDocument);
   
   // Update UI based on connection status
-  updateConnectionStatus(savedConfig.serverConnected);
+  let recording = savedConfig.recording || null;
+  updateConnectionStatus(savedConfig.connection || {});
+  updateRecordingState();
+  updatePendingCount(savedConfig.pendingCount || 0, savedConfig.pendingError);
+
+  // The stored state can be stale while the worker is suspended; asking wakes it and it reconnects if needed
+  chrome.runtime.sendMessage({ action: 'getConnectionStatus' })
+    .then(response => updateConnectionStatus(response.connection))
+    .catch(error => console.error('Error getting connection status:', error));
   
   connectButton.addEventListener('click', async () => {
     const url = serverUrl.value.trim();
@@ -39,8 +59,18 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
     
-    // Save server URL
-    await chrome.storage.local.set({ serverUrl: url });
+    if (!pairingToken.value.trim()) {
+      status.textContent = 'Please enter the pairing token shown by the server';
+      status.className = 'error';
+      return;
+    }
+
+    // Save server URL, token and the label the server lists this browser under
+    await chrome.storage.local.set({
+      serverUrl: url,
+      pairingToken: pairingToken.value.trim(),
+      clientLabel: clientLabel.value.trim()
+    });
     
     // Update UI to connecting state
     status.textContent = 'Connecting...';
@@ -50,10 +80,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Try to connect
     chrome.runtime.sendMessage({ 
       action: 'establishConnection',
-      serverUrl: url
+      serverUrl: url,
+      pairingToken: pairingToken.value.trim()
     });
   });
   
+  // Read by the background script each time the inspector starts
+  snapshotDocument.addEventListener('change', () => {
+    chrome.storage.local.set({ snapshotDocument: snapshotDocument.checked });
+  });
+
   inspectButton.addEventListener('click', async () => {
     if (isRestricted) {
       status.textContent = 'Cannot inspect restricted pages';
@@ -76,24 +112,71 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  recordButton.addEventListener('click', async () => {
+    const action = recording ? 'stopRecording' : 'startRecording';
+    recordButton.disabled = true;
+
+    const response = await chrome.runtime.sendMessage({
+      action,
+      name: flowName.value.trim()
+    });
+
+    if (!response.success) {
+      status.textContent = recording ? 'Failed to stop recording' : 'Failed to start recording';
+      status.className = 'error';
+    } else {
+      const stored = await chrome.storage.local.get(['recording']);
+      recording = stored.recording || null;
+      status.textContent = recording ? `Recording "${recording.name || 'untitled flow'}"...` : 'Flow saved';
+      status.className = 'success';
+    }
+    recordButton.disabled = false;
+    updateRecordingState();
+  });
+
   // Listen for connection status updates
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'connectionStatus') {
-      updateConnectionStatus(message.connected, message.retryCount);
+      updateConnectionStatus(message.connection);
+    } else if (message.action === 'queueStatus') {
+      updatePendingCount(message.pending, message.error);
     }
   });
   
-  function updateConnectionStatus(connected, retryCount) {
-    status.textContent = connected ? 'Connected to server' : 'Disconnected';
+  function updateConnectionStatus({ status: state, attempts, retryAt, error }) {
+    const connected = state === 'connected';
+    status.textContent = connected ? 'Connected to server' : (error || 'Disconnected');
     status.className = connected ? 'success' : 'error';
     connectButton.disabled = false;
     
     if (!isRestricted) {
       inspectButton.disabled = !connected;
     }
+    // A running recording can always be stopped
+    recordButton.disabled = !recording && (isRestricted || !connected);
     
-    if (!connected && retryCount !== undefined) {
-      status.textContent = `Retrying connection... (Attempt ${retryCount}/5)`;
+    if (state === 'disconnected' && retryAt) {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      status.textContent = `${error ? `${error}. ` : ''}Reconnecting in ${seconds}s... (Attempt ${attempts + 1})`;
+    } else if (state === 'connecting') {
+      status.textContent = `Connecting... (Attempt ${attempts})`;
+    }
+  }
+
+  // Captures the extension still holds because the server has not received them yet
+  function updatePendingCount(pending, error) {
+    retryInfo.textContent = pending > 0
+      ? `${pending} ${pending === 1 ? 'message' : 'messages'} waiting to be sent to the server` +
+        (error ? `. Last attempt failed: ${error}` : '')
+      : '';
+  }
+
+  function updateRecordingState() {
+    recordButton.textContent = recording ? 'Stop Recording' : 'Start Recording';
+    recordButton.classList.toggle('recording', Boolean(recording));
+    flowName.disabled = Boolean(recording);
+    if (recording) {
+      flowName.value = recording.name;
     }
   }
 });
\ No newline at end of file
@@ -0,0 +1,129 @@
+// auth.js - Pairing token shared with the extension, and the browser pages trusted without it
+const fs = require('fs');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Close code for sockets turned away for their token; 4000-4999 are left to applications
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Connections from this machine, IPv4-mapped addresses included
+function isLoopbackAddress(address = '') {
+    const ip = address.replace(/^::ffff:/, '');
+    return ip === '::1' || /^127\.\d+\.\d+\.\d+$/.test(ip);
+}
+
+function generateToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+// Bearer header, or ?token= for WebSockets, which cannot send headers from a browser
+function requestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+function hostOf(origin) {
+    try {
+        return new URL(origin).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+class Pairing {
+    /**
+     * @param {{token: string|null, tokenFile: string, allowedOrigins: string[]}} settings config.auth
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.allowedHosts = settings.allowedOrigins.map(hostOf).filter(Boolean);
+        this.token = settings.token || this.loadToken();
+    }
+
+    // The token survives restarts so the extension stays paired
+    loadToken() {
+        try {
+            const stored = fs.readFileSync(this.settings.tokenFile, 'utf8').trim();
+            if (stored) return stored;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this.writeToken(generateToken());
+    }
+
+    writeToken(token) {
+        // Readable by the user running the server only
+        fs.writeFileSync(this.settings.tokenFile, `${token}\n`, { mode: 0o600 });
+        return token;
+    }
+
+    /**
+     * Replaces the token; clients paired with the old one have to be paired again
+     * @returns {string} The new token
+     */
+    rotate() {
+        if (this.settings.token) {
+            throw new HttpError(409, 'The pairing token is set by PAIRING_TOKEN and cannot be changed here');
+        }
+        this.token = this.writeToken(generateToken());
+        return this.token;
+    }
+
+    matches(candidate) {
+        if (typeof candidate !== 'string') return false;
+        const expected = Buffer.from(this.token);
+        const given = Buffer.from(candidate);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    /**
+     * Requests made by the dashboard or another allowed page. Browsers send Origin on cross-origin
+     * and WebSocket requests; same-origin GETs only carry Sec-Fetch-Site, and then the Host must be
+     * one of ours so a rebound DNS name cannot pass as the dashboard. Any client can set these
+     * headers, so they only count for connections from this machine.
+     * @param {http.IncomingMessage} req
+     * @returns {boolean}
+     */
+    isTrustedBrowser(req) {
+        if (!isLoopbackAddress(req.socket.remoteAddress)) {
+            return false;
+        }
+
+        const origin = req.headers.origin;
+        if (origin) {
+            return this.settings.allowedOrigins.includes(origin);
+        }
+
+        const host = req.headers.host || '';
+        const hostname = host.replace(/:\d+$/, '');
+        return req.headers['sec-fetch-site'] === 'same-origin' &&
+            (LOOPBACK_HOSTS.includes(hostname) || this.allowedHosts.includes(host));
+    }
+
+    /**
+     * How a request or WebSocket handshake proves it may use the server
+     * @param {http.IncomingMessage} req
+     * @returns {'token'|'origin'|null}
+     */
+    authenticate(req) {
+        if (this.matches(requestToken(req))) return 'token';
+        return this.isTrustedBrowser(req) ? 'origin' : null;
+    }
+
+    // Express middleware turning away API calls that are neither paired nor from a trusted page
+    middleware() {
+        return (req, res, next) => {
+            if (this.authenticate(req)) return next();
+            res.status(401).json({ error: 'Pairing token required' });
+        };
+    }
+}
+
+module.exports = {
+    Pairing,
+    UNAUTHORIZED_CLOSE_CODE
+};
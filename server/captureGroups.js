@@ -0,0 +1,51 @@
+// captureGroups.js - Elements captured together in one multi-select batch
+const { HttpError } = require('./errors');
+
+/**
+ * Stores the group row of a batch; its elements are saved separately with the group id
+ * @param {Object} db
+ * @param {{url?: string, container?: Object}} group
+ * @param {number} elementCount
+ * @returns {Promise<number>} Id of the new group
+ */
+async function createGroup(db, { url, container }, elementCount) {
+    const result = await db.run(`
+        INSERT INTO capture_groups (url, container, elementCount)
+        VALUES (?, ?, ?)
+    `, [url || '', container ? JSON.stringify(container) : null, elementCount]);
+    return result.lastID;
+}
+
+async function listGroups(db) {
+    return db.all(`
+        SELECT * FROM capture_groups
+        ORDER BY createdAt DESC, id DESC
+    `);
+}
+
+async function getGroup(db, id) {
+    const group = await db.get('SELECT * FROM capture_groups WHERE id = ?', [id]);
+    if (!group) {
+        throw new HttpError(404, `Capture group ${id} not found`);
+    }
+
+    group.elements = await db.all(`
+        SELECT * FROM elements
+        WHERE groupId = ?
+        ORDER BY groupPosition, id
+    `, [id]);
+
+    return group;
+}
+
+// Removes a group row, used when its batch could not be stored completely
+async function deleteGroup(db, id) {
+    await db.run('DELETE FROM capture_groups WHERE id = ?', [id]);
+}
+
+module.exports = {
+    createGroup,
+    listGroups,
+    getGroup,
+    deleteGroup
+};
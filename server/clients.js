@@ -0,0 +1,186 @@
+// clients.js - Registry of connected extensions and dashboards, and which one a command goes to
+const crypto = require('crypto');
+const { CommandError } = require('./commands');
+
+const ROLES = ['extension', 'dashboard'];
+const MAX_LABEL_LENGTH = 100;
+const MAX_TABS = 500;
+// Extensions keep one id across reconnects so API callers can keep targeting them
+const INSTANCE_ID_PATTERN = /^[\w-]{8,64}$/;
+
+function text(value, maxLength) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+function normalizeTabs(tabs) {
+    if (!Array.isArray(tabs)) return [];
+    return tabs
+        .filter(tab => tab && Number.isInteger(tab.id))
+        .slice(0, MAX_TABS)
+        .map(tab => ({
+            id: tab.id,
+            windowId: Number.isInteger(tab.windowId) ? tab.windowId : null,
+            url: text(tab.url, 2048),
+            title: text(tab.title, 200),
+            active: Boolean(tab.active)
+        }));
+}
+
+class ClientRegistry {
+    constructor() {
+        this.clients = new Map();
+    }
+
+    /**
+     * Registers a socket as soon as it connects. It has no role until it says hello, so commands never
+     * go to it, unless it connected with ?client=dashboard
+     * @param {WebSocket} ws
+     * @param {http.IncomingMessage} req Upgrade request
+     * @returns {Object} The registry entry
+     */
+    add(ws, req) {
+        const requestedRole = new URL(req.url, 'http://localhost').searchParams.get('client');
+        ws.clientId = crypto.randomUUID();
+        const entry = {
+            ws,
+            clientId: ws.clientId,
+            role: requestedRole === 'dashboard' ? 'dashboard' : null,
+            label: '',
+            browser: null,
+            extensionVersion: null,
+            tabs: [],
+            connectedAt: new Date().toISOString(),
+            lastSeenAt: new Date().toISOString()
+        };
+        this.clients.set(entry.clientId, entry);
+        return entry;
+    }
+
+    /**
+     * Applies the hello message a client sends after connecting; one naming no role is an extension
+     * @param {WebSocket} ws
+     * @param {{instanceId?: string, role?: string, label?: string, browser?: Object, extensionVersion?: string, tabs?: Object[]}} hello
+     * @returns {Object} The updated entry
+     */
+    identify(ws, hello = {}) {
+        const entry = this.clients.get(ws.clientId);
+        if (!entry) return null;
+
+        if (ROLES.includes(hello.role)) {
+            entry.role = hello.role;
+        } else if (!entry.role) {
+            entry.role = 'extension';
+        }
+        entry.label = text(hello.label, MAX_LABEL_LENGTH).trim();
+        entry.browser = hello.browser && typeof hello.browser === 'object'
+            ? { userAgent: text(hello.browser.userAgent, 500), platform: text(hello.browser.platform, 100) }
+            : null;
+        entry.extensionVersion = text(hello.extensionVersion, 50) || null;
+        entry.tabs = normalizeTabs(hello.tabs);
+        entry.lastSeenAt = new Date().toISOString();
+
+        if (typeof hello.instanceId === 'string' && INSTANCE_ID_PATTERN.test(hello.instanceId) &&
+            hello.instanceId !== entry.clientId) {
+            // A reconnect can arrive before the old socket has closed, the newer one wins
+            const previous = this.clients.get(hello.instanceId);
+            if (previous) {
+                previous.ws.close(1000, 'Replaced by a newer connection');
+            }
+            this.clients.delete(entry.clientId);
+            entry.clientId = hello.instanceId;
+            ws.clientId = hello.instanceId;
+            this.clients.set(entry.clientId, entry);
+        }
+        return entry;
+    }
+
+    updateTabs(ws, tabs) {
+        const entry = this.clients.get(ws.clientId);
+        if (!entry) return null;
+        entry.tabs = normalizeTabs(tabs);
+        entry.lastSeenAt = new Date().toISOString();
+        return entry;
+    }
+
+    // Role of a socket, null once a newer connection has taken over its id
+    roleOf(ws) {
+        const entry = this.clients.get(ws.clientId);
+        return entry && entry.ws === ws ? entry.role : null;
+    }
+
+    touch(ws) {
+        const entry = this.clients.get(ws.clientId);
+        if (entry) entry.lastSeenAt = new Date().toISOString();
+    }
+
+    /**
+     * Forgets a socket that closed, unless a newer connection already took over its id
+     * @param {WebSocket} ws
+     * @returns {boolean} Whether an entry was removed
+     */
+    remove(ws) {
+        const entry = this.clients.get(ws.clientId);
+        if (!entry || entry.ws !== ws) return false;
+        return this.clients.delete(ws.clientId);
+    }
+
+    /**
+     * Connected clients as the API shows them
+     * @param {{role?: string}} [filter]
+     * @returns {Object[]}
+     */
+    list(filter = {}) {
+        return Array.from(this.clients.values())
+            .filter(entry => !filter.role || entry.role === filter.role)
+            .map(({ ws, ...client }) => client);
+    }
+
+    extensions() {
+        return Array.from(this.clients.values()).filter(entry => entry.role === 'extension');
+    }
+
+    /**
+     * The socket and tab a command should go to. Without a clientId the only connected extension
+     * is used; without a tabId the extension picks its active tab.
+     * @param {{clientId?: string, tabId?: number}} [target]
+     * @returns {{ws: WebSocket, clientId: string, tabId: number|undefined}}
+     */
+    resolveTarget({ clientId, tabId } = {}) {
+        let entry;
+        if (clientId) {
+            entry = this.clients.get(clientId);
+            if (!entry || entry.role !== 'extension') {
+                throw new CommandError(`Unknown client: ${clientId}`, 404);
+            }
+        } else {
+            const extensions = this.extensions();
+            if (extensions.length === 0) {
+                throw new CommandError('No extension connected', 503);
+            }
+            if (extensions.length > 1) {
+                throw new CommandError(
+                    `Multiple clients connected, specify clientId (one of: ${extensions.map(e => e.clientId).join(', ')})`,
+                    400
+                );
+            }
+            entry = extensions[0];
+        }
+
+        if (tabId === undefined || tabId === null) {
+            return { ws: entry.ws, clientId: entry.clientId, tabId: undefined };
+        }
+        const id = Number(tabId);
+        if (!Number.isInteger(id)) {
+            throw new CommandError(`Invalid tabId: ${tabId}`, 400);
+        }
+        // Clients that never reported their tabs are trusted with any id
+        if (entry.tabs.length > 0 && !entry.tabs.some(tab => tab.id === id)) {
+            throw new CommandError(`Client ${entry.clientId} has no tab ${id}`, 404);
+        }
+        return { ws: entry.ws, clientId: entry.clientId, tabId: id };
+    }
+}
+
+module.exports = {
+    ClientRegistry
+};
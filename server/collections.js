@@ -0,0 +1,185 @@
+// collections.js - Named element libraries (page objects) stored in SQLite
+const { HttpError } = require('./errors');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function validateCollectionName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new HttpError(400, 'name is required');
+    }
+    if (name.length > 100) {
+        throw new HttpError(400, 'name must be at most 100 characters');
+    }
+    return name.trim();
+}
+
+function validateElementName(name) {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+        throw new HttpError(400, 'name must be a valid identifier such as submitButton');
+    }
+    return name;
+}
+
+// Turns UNIQUE constraint failures into a readable 409
+async function withUniqueName(operation, message) {
+    try {
+        return await operation();
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message)) {
+            throw new HttpError(409, message);
+        }
+        throw error;
+    }
+}
+
+async function listCollections(db) {
+    return db.all(`
+        SELECT c.*, COUNT(ce.id) AS elementCount
+        FROM collections c
+        LEFT JOIN collection_elements ce ON ce.collectionId = c.id
+        GROUP BY c.id
+        ORDER BY c.name COLLATE NOCASE
+    `);
+}
+
+async function getCollection(db, id) {
+    const collection = await db.get('SELECT * FROM collections WHERE id = ?', [id]);
+    if (!collection) {
+        throw new HttpError(404, `Collection ${id} not found`);
+    }
+
+    collection.elements = await db.all(`
+        SELECT e.*, ce.id AS entryId, ce.name, ce.position
+        FROM collection_elements ce
+        JOIN elements e ON e.id = ce.elementId
+        WHERE ce.collectionId = ?
+        ORDER BY ce.position, ce.id
+    `, [id]);
+
+    return collection;
+}
+
+async function createCollection(db, { name, description }) {
+    const collectionName = validateCollectionName(name);
+    const result = await withUniqueName(
+        () => db.run(
+            'INSERT INTO collections (name, description) VALUES (?, ?)',
+            [collectionName, description || '']
+        ),
+        `A collection named "${collectionName}" already exists`
+    );
+    return getCollection(db, result.lastID);
+}
+
+async function updateCollection(db, id, { name, description }) {
+    const current = await getCollection(db, id);
+    const collectionName = name === undefined ? current.name : validateCollectionName(name);
+
+    await withUniqueName(
+        () => db.run(`
+            UPDATE collections
+            SET name = ?, description = ?, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [collectionName, description === undefined ? current.description : description || '', id]),
+        `A collection named "${collectionName}" already exists`
+    );
+    return getCollection(db, id);
+}
+
+async function deleteCollection(db, id) {
+    const result = await db.run('DELETE FROM collections WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new HttpError(404, `Collection ${id} not found`);
+    }
+}
+
+async function addElement(db, collectionId, { elementId, name }) {
+    await getCollection(db, collectionId);
+    const elementName = validateElementName(name);
+
+    if (!Number.isInteger(elementId)) {
+        throw new HttpError(400, 'elementId must be an integer');
+    }
+    const element = await db.get('SELECT id FROM elements WHERE id = ?', [elementId]);
+    if (!element) {
+        throw new HttpError(404, `Element ${elementId} not found`);
+    }
+
+    const { nextPosition } = await db.get(`
+        SELECT COALESCE(MAX(position), -1) + 1 AS nextPosition
+        FROM collection_elements
+        WHERE collectionId = ?
+    `, [collectionId]);
+
+    await withUniqueName(
+        () => db.run(`
+            INSERT INTO collection_elements (collectionId, elementId, name, position)
+            VALUES (?, ?, ?, ?)
+        `, [collectionId, elementId, elementName, nextPosition]),
+        `An element named "${elementName}" already exists in this collection`
+    );
+    return getCollection(db, collectionId);
+}
+
+async function updateElement(db, collectionId, entryId, { name }) {
+    const elementName = validateElementName(name);
+    const result = await withUniqueName(
+        () => db.run(
+            'UPDATE collection_elements SET name = ? WHERE id = ? AND collectionId = ?',
+            [elementName, entryId, collectionId]
+        ),
+        `An element named "${elementName}" already exists in this collection`
+    );
+    if (result.changes === 0) {
+        throw new HttpError(404, `Entry ${entryId} not found in collection ${collectionId}`);
+    }
+    return getCollection(db, collectionId);
+}
+
+async function removeElement(db, collectionId, entryId) {
+    const result = await db.run(
+        'DELETE FROM collection_elements WHERE id = ? AND collectionId = ?',
+        [entryId, collectionId]
+    );
+    if (result.changes === 0) {
+        throw new HttpError(404, `Entry ${entryId} not found in collection ${collectionId}`);
+    }
+    return getCollection(db, collectionId);
+}
+
+/**
+ * Rewrites positions so entries follow the given order
+ * @param {Object} db
+ * @param {number} collectionId
+ * @param {number[]} entryIds Every entry id of the collection, in the new order
+ */
+async function reorderElements(db, collectionId, entryIds) {
+    const collection = await getCollection(db, collectionId);
+    const currentIds = collection.elements.map(entry => entry.entryId).sort((a, b) => a - b);
+    const requestedIds = Array.isArray(entryIds) ? [...entryIds].sort((a, b) => a - b) : [];
+
+    if (currentIds.length !== requestedIds.length ||
+        currentIds.some((id, index) => id !== requestedIds[index])) {
+        throw new HttpError(400, 'entryIds must list every entry of the collection exactly once');
+    }
+
+    // One statement rather than a transaction, the connection is shared with requests writing meanwhile
+    await db.run(`
+        UPDATE collection_elements
+        SET position = (SELECT key FROM json_each(?) WHERE value = collection_elements.id)
+        WHERE collectionId = ?
+    `, [JSON.stringify(entryIds), collectionId]);
+    return getCollection(db, collectionId);
+}
+
+module.exports = {
+    listCollections,
+    getCollection,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    addElement,
+    updateElement,
+    removeElement,
+    reorderElements
+};
@@ -0,0 +1,92 @@
+// commands.js - Request/response commands sent to connected extensions
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { HttpError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_TIMEOUT = 60000;
+
+class CommandError extends HttpError {
+    constructor(message, status) {
+        super(status, message);
+        this.name = 'CommandError';
+    }
+}
+
+/**
+ * Tags outgoing commands with a correlation id and resolves the matching
+ * commandResult message coming back from the extension.
+ */
+class CommandBroker {
+    constructor() {
+        this.pending = new Map();
+    }
+
+    /**
+     * @param {WebSocket} ws Target extension socket
+     * @param {Object} command Command understood by the content script executor
+     * @param {number} timeout Milliseconds to wait for the reply
+     * @param {number} [tabId] Tab to run it in, the extension's active tab when omitted
+     * @returns {Promise<Object>} The commandResult payload
+     */
+    send(ws, command, timeout = DEFAULT_TIMEOUT, tabId) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new CommandError('Client is not connected', 503));
+        }
+
+        const id = crypto.randomUUID();
+        const waitMs = Math.min(Math.max(Number(timeout) || DEFAULT_TIMEOUT, 1), MAX_TIMEOUT);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new CommandError(`Command ${command.name} timed out after ${waitMs}ms`, 504));
+            }, waitMs);
+
+            this.pending.set(id, { ws, resolve, reject, timer });
+
+            try {
+                ws.send(JSON.stringify({ type: 'command', id, command, tabId }));
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(new CommandError(`Failed to send command: ${error.message}`, 502));
+            }
+        });
+    }
+
+    /**
+     * Settles the pending command a result belongs to, only when it comes from the socket the command was sent to
+     * @param {Object} result commandResult payload carrying the correlation id
+     * @param {WebSocket} ws Socket the result arrived on
+     * @returns {boolean} Whether a pending command was waiting for it
+     */
+    handleResult(result, ws) {
+        const entry = result && this.pending.get(result.id);
+        if (!entry || entry.ws !== ws) return false;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(result.id);
+        entry.resolve(result);
+        return true;
+    }
+
+    /**
+     * Fails every command still waiting on a socket that went away
+     * @param {WebSocket} ws
+     */
+    rejectClient(ws) {
+        this.pending.forEach((entry, id) => {
+            if (entry.ws === ws) {
+                clearTimeout(entry.timer);
+                this.pending.delete(id);
+                entry.reject(new CommandError('Client disconnected before replying', 502));
+            }
+        });
+    }
+}
+
+module.exports = {
+    CommandBroker,
+    CommandError
+};
@@ -0,0 +1,50 @@
+// config.js - Server settings, each one overridable through an environment variable
+
+function numberSetting(name, fallback, max = Number.MAX_SAFE_INTEGER) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+        throw new Error(`${name} must be an integer from 0 to ${max}, got: ${value}`);
+    }
+    return number;
+}
+
+function choiceSetting(name, choices, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    if (!choices.includes(value)) {
+        throw new Error(`${name} must be one of: ${choices.join(', ')}, got: ${value}`);
+    }
+    return value;
+}
+
+function listSetting(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const port = numberSetting('PORT', 3000);
+
+module.exports = {
+    port,
+    // Sockets that do not answer a ping within this many milliseconds are dropped
+    heartbeatInterval: numberSetting('HEARTBEAT_INTERVAL_MS', 30000),
+    auth: {
+        // A fixed token, otherwise one is generated and kept in tokenFile
+        token: process.env.PAIRING_TOKEN || null,
+        tokenFile: process.env.PAIRING_TOKEN_FILE || 'pairing-token',
+        // Browser pages trusted without a token, by default the dashboard on this port
+        allowedOrigins: listSetting('ALLOWED_ORIGINS', [`http://localhost:${port}`, `http://127.0.0.1:${port}`])
+    },
+    snapshots: {
+        // Larger element markup is cut off, a larger page is left out of the snapshot
+        maxElementBytes: numberSetting('SNAPSHOT_MAX_ELEMENT_BYTES', 256 * 1024),
+        maxDocumentBytes: numberSetting('SNAPSHOT_MAX_DOCUMENT_BYTES', 5 * 1024 * 1024),
+        compression: choiceSetting('SNAPSHOT_COMPRESSION', ['gzip', 'none'], 'gzip'),
+        compressionLevel: numberSetting('SNAPSHOT_COMPRESSION_LEVEL', 6, 9)
+    }
+};
@@ -0,0 +1,238 @@
+// datasets.js - Declarative scraping jobs run in the live tab, stored as dataset snapshots
+const { HttpError } = require('./errors');
+const { parseJson } = require('./exporters/utils');
+const extractionSchemas = require('./extractionSchemas');
+
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES = 50;
+// How long the page gets to show the rows of the next page
+const PAGE_TIMEOUT = 15000;
+const MAX_PAGE_TIMEOUT = 50000;
+// Broker timeout for page commands, on top of the in-page wait
+const COMMAND_MARGIN = 5000;
+
+/**
+ * Checks an extraction definition:
+ * { rowSelector, fields: [{ name, selector, extract, attribute }], nextPageSelector?, maxPages? }
+ * @param {Object} definition
+ * @returns {Object} The normalized definition
+ */
+function validateDefinition(definition) {
+    const { rowSelector, fields, nextPageSelector, maxPages } = definition || {};
+    if (typeof rowSelector !== 'string' || !rowSelector.trim()) {
+        throw new HttpError(400, 'rowSelector is required');
+    }
+    if (nextPageSelector !== undefined && nextPageSelector !== null &&
+        (typeof nextPageSelector !== 'string' || !nextPageSelector.trim())) {
+        throw new HttpError(400, 'nextPageSelector must be a non-empty string');
+    }
+    if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES)) {
+        throw new HttpError(400, `maxPages must be an integer between 1 and ${MAX_PAGES}`);
+    }
+
+    return {
+        rowSelector: rowSelector.trim(),
+        fields: extractionSchemas.validateFields(fields),
+        nextPageSelector: nextPageSelector ? nextPageSelector.trim() : null,
+        maxPages: nextPageSelector ? maxPages || DEFAULT_MAX_PAGES : 1
+    };
+}
+
+// Links to another document are followed directly, anything else (buttons, #, javascript:) is clicked
+function isNavigableLink(href, currentUrl) {
+    if (!href) return false;
+    try {
+        const target = new URL(href);
+        const current = new URL(currentUrl);
+        target.hash = '';
+        current.hash = '';
+        return ['http:', 'https:'].includes(target.protocol) && target.href !== current.href;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Extracts rows from the current tab, following next-page links or buttons,
+ * and stores the result as a dataset snapshot
+ * @param {Object} db
+ * @param {Function} runCommand (command, timeout) => result of the command in the tab
+ * @param {{definition?: Object, schemaId?: number, pageTimeout?: number}} options
+ *        Definition fields override those of the stored schema
+ * @returns {Promise<Object>} The stored dataset, rows included
+ */
+async function runScrape(db, runCommand, { definition = {}, schemaId, pageTimeout = PAGE_TIMEOUT }) {
+    let base = {};
+    if (schemaId !== undefined && schemaId !== null) {
+        const schema = await extractionSchemas.getSchema(db, schemaId);
+        base = { rowSelector: schema.rowSelector, fields: schema.fields };
+        // Next links and buttons detected at capture time are followed unless the definition says otherwise
+        const { pagination } = schema;
+        if (pagination && pagination.selector && ['next-link', 'next-button'].includes(pagination.strategy)) {
+            base.nextPageSelector = pagination.selector;
+        }
+    }
+    const job = validateDefinition({ ...base, ...definition });
+    const waitMs = Math.min(Math.max(Number(pageTimeout) || PAGE_TIMEOUT, 1), MAX_PAGE_TIMEOUT);
+
+    const rows = [];
+    const pages = [];
+    let previousPage = null;
+    let error = null;
+
+    while (pages.length < job.maxPages) {
+        let result;
+        try {
+            result = await runCommand({
+                name: 'extract',
+                rowSelector: job.rowSelector,
+                fields: job.fields,
+                nextPageSelector: job.nextPageSelector,
+                previousPage,
+                timeout: previousPage ? waitMs : undefined
+            }, waitMs + COMMAND_MARGIN);
+        } catch (pageError) {
+            // The first page failing fails the job, later pages end it early
+            if (!previousPage) throw pageError;
+            error = pageError.message;
+            break;
+        }
+
+        pages.push({ url: result.url, rowCount: result.rows.length });
+        rows.push(...result.rows);
+
+        if (!result.nextPage || pages.length >= job.maxPages) break;
+
+        previousPage = { url: result.url, firstRow: JSON.stringify(result.rows[0]) };
+        const { href } = result.nextPage;
+        const navigate = isNavigableLink(href, result.url);
+        if (navigate && pages.some(page => page.url === href)) break;
+        try {
+            await runCommand(navigate
+                ? { name: 'navigate', url: href }
+                : { name: 'click', selector: job.nextPageSelector });
+        } catch (pageError) {
+            // Keep the pages collected so far
+            error = pageError.message;
+            break;
+        }
+    }
+
+    const insert = await db.run(`
+        INSERT INTO datasets (schemaId, url, definition, pages, rowCount, rows, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        schemaId ?? null,
+        pages[0].url,
+        JSON.stringify(job),
+        JSON.stringify(pages),
+        rows.length,
+        JSON.stringify(rows),
+        error
+    ]);
+    return getDataset(db, insert.lastID);
+}
+
+function toDataset(row) {
+    return {
+        ...row,
+        definition: parseJson(row.definition, {}),
+        pages: parseJson(row.pages, []),
+        rows: parseJson(row.rows, [])
+    };
+}
+
+/**
+ * Dataset summaries, newest first, without their rows
+ * @param {Object} db
+ * @param {{url?: string, schemaId?: number}} filters
+ * @returns {Promise<Object[]>}
+ */
+async function listDatasets(db, { url, schemaId } = {}) {
+    const conditions = [];
+    const params = [];
+    if (url) {
+        conditions.push('url = ?');
+        params.push(url);
+    }
+    if (schemaId) {
+        conditions.push('schemaId = ?');
+        params.push(schemaId);
+    }
+
+    const rows = await db.all(`
+        SELECT id, schemaId, url, definition, pages, rowCount, error, createdAt
+        FROM datasets
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY createdAt DESC, id DESC
+    `, params);
+    return rows.map(row => {
+        const { rows: _rows, ...summary } = toDataset(row);
+        return summary;
+    });
+}
+
+async function getDataset(db, id) {
+    const row = await db.get('SELECT * FROM datasets WHERE id = ?', [id]);
+    if (!row) {
+        throw new HttpError(404, `Dataset ${id} not found`);
+    }
+    return toDataset(row);
+}
+
+async function deleteDataset(db, id) {
+    const result = await db.run('DELETE FROM datasets WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new HttpError(404, `Dataset ${id} not found`);
+    }
+}
+
+/**
+ * Rows added and removed between two runs; rows are compared by their full content
+ * @param {Object} db
+ * @param {number} baseId Earlier run
+ * @param {number} otherId Later run
+ * @returns {Promise<{base: Object, other: Object, added: Object[], removed: Object[], unchanged: number}>}
+ */
+async function compareDatasets(db, baseId, otherId) {
+    const base = await getDataset(db, baseId);
+    const other = await getDataset(db, otherId);
+    const baseKeys = new Set(base.rows.map(row => JSON.stringify(row)));
+    const otherKeys = new Set(other.rows.map(row => JSON.stringify(row)));
+
+    return {
+        base: { id: base.id, url: base.url, createdAt: base.createdAt, rowCount: base.rowCount },
+        other: { id: other.id, url: other.url, createdAt: other.createdAt, rowCount: other.rowCount },
+        added: other.rows.filter(row => !baseKeys.has(JSON.stringify(row))),
+        removed: base.rows.filter(row => !otherKeys.has(JSON.stringify(row))),
+        unchanged: other.rows.filter(row => baseKeys.has(JSON.stringify(row))).length
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes a dataset's rows as CSV, one column per field of its definition
+ * @param {Object} dataset
+ * @returns {string}
+ */
+function toCsv(dataset) {
+    const columns = dataset.definition.fields.map(field => field.name);
+    return [
+        columns.map(csvCell).join(','),
+        ...dataset.rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    validateDefinition,
+    runScrape,
+    listDatasets,
+    getDataset,
+    deleteDataset,
+    compareDatasets,
+    toCsv
+};
@@ -0,0 +1,240 @@
+// elements.js - Storing, reading, annotating and removing captured elements
+const { HttpError } = require('./errors');
+const { domainOf } = require('./history');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_BULK_DELETE = 500;
+const SELECTOR_TYPES = ['css', 'xpath'];
+const EDITABLE_FIELDS = ['name', 'notes', 'tags', 'preferredSelector'];
+
+// Pages are shared by every capture made on the same URL
+async function findOrCreatePage(db, url) {
+    await db.run('INSERT OR IGNORE INTO pages (url, domain) VALUES (?, ?)', [url, domainOf(url)]);
+    const page = await db.get('SELECT id FROM pages WHERE url = ?', [url]);
+    return page.id;
+}
+
+// Older extension builds sent attributes as a list of { name, value }
+function attributeEntries(attributes) {
+    if (Array.isArray(attributes)) {
+        return attributes
+            .filter(attribute => attribute && typeof attribute.name === 'string')
+            .map(attribute => [attribute.name, attribute.value]);
+    }
+    return attributes && typeof attributes === 'object' ? Object.entries(attributes) : [];
+}
+
+/**
+ * Stores a capture sent by the extension with its page, selector candidates and attributes
+ * @param {Object} db
+ * @param {Object} data Element payload from the extension
+ * @returns {Promise<number>} The new element id
+ */
+async function createElement(db, data) {
+    const pageId = await findOrCreatePage(db, data.url || '');
+    const result = await db.run(`
+        INSERT INTO captures (
+            pageId, tagName, elementId, className, xpath, cssSelector, fingerprint, selectorChain,
+            elementText, fullData, groupId, groupPosition, role
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        pageId,
+        data.tagName,
+        data.id || '',
+        data.className || '',
+        data.xpath || '',
+        data.cssSelector || '',
+        data.fingerprint ? JSON.stringify(data.fingerprint) : null,
+        JSON.stringify(data.selectorChain || []),
+        data.text || '',
+        JSON.stringify(data),
+        data.groupId ?? null,
+        data.groupPosition ?? null,
+        data.role || ''
+    ]);
+    const id = result.lastID;
+
+    // All or nothing, like a capture group: when a candidate or attribute cannot be stored the capture
+    // is removed again with what was already stored for it, so the extension can send it again
+    try {
+        const candidates = (data.selectors || []).filter(candidate => candidate && candidate.type && candidate.selector);
+        for (const [position, candidate] of candidates.entries()) {
+            await db.run(`
+                INSERT INTO selector_candidates (captureId, position, strategy, type, selector, score, matchCount, isUnique)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                id,
+                position,
+                candidate.strategy || null,
+                candidate.type,
+                candidate.selector,
+                candidate.score ?? null,
+                candidate.matchCount ?? null,
+                candidate.unique ? 1 : 0
+            ]);
+        }
+
+        for (const [name, value] of attributeEntries(data.attributes)) {
+            await db.run(
+                'INSERT OR REPLACE INTO capture_attributes (captureId, name, value) VALUES (?, ?, ?)',
+                [id, name, value == null ? null : String(value)]
+            );
+        }
+    } catch (error) {
+        await db.run('DELETE FROM captures WHERE id = ?', [id]);
+        throw error;
+    }
+    return id;
+}
+
+async function getElement(db, id) {
+    const element = await db.get('SELECT * FROM elements WHERE id = ?', [id]);
+    if (!element) {
+        throw new HttpError(404, `Element ${id} not found`);
+    }
+    return element;
+}
+
+// Free text that null or blank clears
+function validateText(value, field, maxLength) {
+    if (value === null) return null;
+    if (typeof value !== 'string') {
+        throw new HttpError(400, `${field} must be a string or null`);
+    }
+    if (value.length > maxLength) {
+        throw new HttpError(400, `${field} must be at most ${maxLength} characters`);
+    }
+    return value.trim() || null;
+}
+
+function validateTags(tags) {
+    if (tags === null) return [];
+    if (!Array.isArray(tags)) {
+        throw new HttpError(400, 'tags must be an array of strings');
+    }
+
+    const unique = [];
+    tags.forEach(tag => {
+        if (typeof tag !== 'string' || !tag.trim()) {
+            throw new HttpError(400, 'tags must be non-empty strings');
+        }
+        if (tag.trim().length > MAX_TAG_LENGTH) {
+            throw new HttpError(400, `tags must be at most ${MAX_TAG_LENGTH} characters each`);
+        }
+        if (!unique.includes(tag.trim())) unique.push(tag.trim());
+    });
+
+    if (unique.length > MAX_TAGS) {
+        throw new HttpError(400, `An element can have at most ${MAX_TAGS} tags`);
+    }
+    return unique;
+}
+
+// Any css or xpath selector may be preferred, not only the captured candidates
+function validatePreferredSelector(value) {
+    if (value === null) return null;
+    if (!value || typeof value !== 'object' || !SELECTOR_TYPES.includes(value.type) ||
+        typeof value.selector !== 'string' || !value.selector.trim()) {
+        throw new HttpError(400, `preferredSelector must be null or { type, selector } with type ${SELECTOR_TYPES.join(' or ')}`);
+    }
+    return { type: value.type, selector: value.selector.trim() };
+}
+
+/**
+ * Updates the user-editable fields of an element, leaving fields not in changes as they are
+ * @param {Object} db
+ * @param {number} id
+ * @param {{name?: string|null, notes?: string|null, tags?: string[]|null, preferredSelector?: Object|null}} changes
+ * @returns {Promise<Object>} The updated elements row
+ */
+async function updateElement(db, id, changes) {
+    const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+        throw new HttpError(400, `Nothing to update, expected one of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const values = {
+        name: () => validateText(changes.name, 'name', MAX_NAME_LENGTH),
+        notes: () => validateText(changes.notes, 'notes', MAX_NOTES_LENGTH),
+        preferredSelector: () => {
+            const selector = validatePreferredSelector(changes.preferredSelector);
+            return selector && JSON.stringify(selector);
+        }
+    };
+    const columns = fields.filter(field => field !== 'tags');
+    const params = columns.map(field => values[field]());
+    const tags = fields.includes('tags') ? validateTags(changes.tags) : null;
+
+    await getElement(db, id);
+    if (columns.length > 0) {
+        await db.run(
+            `UPDATE captures SET ${columns.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...params, id]
+        );
+    }
+    if (tags) {
+        await setTags(db, id, tags);
+    }
+    return getElement(db, id);
+}
+
+// Replaces the tags of an element, keeping the given order
+async function setTags(db, id, tags) {
+    await db.run('DELETE FROM capture_tags WHERE captureId = ?', [id]);
+    for (const [position, tag] of tags.entries()) {
+        await db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+        await db.run(`
+            INSERT INTO capture_tags (captureId, tagId, position)
+            SELECT ?, id, ? FROM tags WHERE name = ?
+        `, [id, position, tag]);
+    }
+}
+
+async function deleteElement(db, id) {
+    const result = await db.run('DELETE FROM captures WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new HttpError(404, `Element ${id} not found`);
+    }
+}
+
+/**
+ * Deletes several elements at once; ids that do not exist are reported rather than failing the batch
+ * @param {Object} db
+ * @param {number[]} ids
+ * @returns {Promise<{deleted: number[], notFound: number[]}>}
+ */
+async function deleteElements(db, ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw new HttpError(400, 'ids must be a non-empty array');
+    }
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+        throw new HttpError(400, 'ids must be positive integers');
+    }
+    if (ids.length > MAX_BULK_DELETE) {
+        throw new HttpError(400, `At most ${MAX_BULK_DELETE} elements can be deleted at once`);
+    }
+
+    const unique = [...new Set(ids)];
+    const placeholders = unique.map(() => '?').join(', ');
+    const rows = await db.all(`SELECT id FROM captures WHERE id IN (${placeholders})`, unique);
+    const existing = rows.map(row => row.id);
+
+    if (existing.length > 0) {
+        await db.run(`DELETE FROM captures WHERE id IN (${existing.map(() => '?').join(', ')})`, existing);
+    }
+    return {
+        deleted: unique.filter(id => existing.includes(id)),
+        notFound: unique.filter(id => !existing.includes(id))
+    };
+}
+
+module.exports = {
+    createElement,
+    getElement,
+    updateElement,
+    deleteElement,
+    deleteElements
+};
@@ -0,0 +1,17 @@
+// errors.js - Errors that map onto HTTP responses
+
+class HttpError extends Error {
+    /**
+     * @param {number} status HTTP status code sent to the client
+     * @param {string} message Message sent to the client as { error }
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = {
+    HttpError
+};
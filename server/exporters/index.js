@@ -0,0 +1,32 @@
+// exporters/index.js - Registry of script exporters
+//
+// An exporter is a module exposing { name, label, fileExtension, generate(elements) }
+// where elements are normalized captures (see utils.normalizeElement). Exporters may
+// also expose generateFlow(flow) to replay recorded flows (see flows.normalizeStep).
+// Register new exporters here; server routes look them up by name.
+const exporters = new Map();
+
+function registerExporter(exporter) {
+    exporters.set(exporter.name, exporter);
+}
+
+function getExporter(name) {
+    return exporters.get(name);
+}
+
+function listExporters() {
+    return Array.from(exporters.values()).map(({ name, label, fileExtension }) => ({
+        name,
+        label,
+        fileExtension
+    }));
+}
+
+registerExporter(require('./puppeteer'));
+registerExporter(require('./playwright'));
+
+module.exports = {
+    registerExporter,
+    getExporter,
+    listExporters
+};
@@ -0,0 +1,135 @@
+// exporters/playwright.js - Generates Playwright scripts from captured elements
+const { selectorCandidates, isNested, groupByUrl, uniqueName, quote, describe, stepValue } = require('./utils');
+
+// Playwright selectors carry their engine as a prefix
+function toPlaywrightSelector({ type, selector }) {
+    return `${type}=${selector}`;
+}
+
+// Playwright locators pierce open shadow roots, frames are entered with frameLocator
+function nestedLookup(element, name) {
+    const locator = element.chain
+        .map(step => step.type === 'frame'
+            ? `.frameLocator(${quote(step.selector)})`
+            : `.locator(${quote(step.selector)})`)
+        .join('\n        ');
+
+    return [
+        `    // ${describe(element)} inside frames or shadow roots`,
+        `    const ${name} = page${locator}.first();`,
+        `    await ${name}.waitFor();`
+    ];
+}
+
+// Declares a locator for an element, or returns null when nothing was stored to find it by
+function elementLookup(element, name) {
+    if (isNested(element)) {
+        return nestedLookup(element, name);
+    }
+
+    const chain = selectorCandidates(element);
+    if (chain.length === 0) {
+        return null;
+    }
+
+    const [primary, ...fallbacks] = chain.map(toPlaywrightSelector).map(quote);
+    const locator = [
+        `page.locator(${primary})`,
+        ...fallbacks.map(selector => `.or(page.locator(${selector}))`)
+    ].join('\n        ');
+
+    return [
+        `    // ${describe(element)}`,
+        `    const ${name} = ${locator}.first();`,
+        `    await ${name}.waitFor();`
+    ];
+}
+
+function header(title) {
+    return [
+        "const { chromium } = require('playwright');",
+        '',
+        ...(title ? [`// ${title}`] : []),
+        '(async () => {',
+        '    const browser = await chromium.launch({ headless: false });',
+        '    const page = await browser.newPage();'
+    ];
+}
+
+function generate(elements) {
+    const lines = header();
+
+    const used = new Set(['browser', 'page', 'chromium']);
+    groupByUrl(elements).forEach((pageElements, url) => {
+        lines.push('', `    await page.goto(${quote(url)});`);
+
+        pageElements.forEach(element => {
+            const lookup = elementLookup(element, uniqueName(element, used));
+            lines.push('', ...(lookup || [`    // ${describe(element)}: no stored selector`]));
+        });
+    });
+
+    lines.push('', '    await browser.close();', '})();', '');
+    return lines.join('\n');
+}
+
+// The statement replaying one recorded interaction on a located element
+function stepAction(step, name) {
+    switch (step.type) {
+        case 'click':
+            return `await ${name}.click();`;
+        case 'type':
+            return `await ${name}.fill(${stepValue(step)});`;
+        case 'select':
+            return `await ${name}.selectOption([${stepValue(step)}]);`;
+        case 'check':
+            return `await ${name}.setChecked(${step.value === true});`;
+        case 'set':
+            // fill sets date, time, color and range inputs directly
+            return `await ${name}.fill(${stepValue(step)});`;
+        case 'submit':
+            return `await ${name}.evaluate(form => form.requestSubmit());`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Generates a script replaying a recorded flow step by step
+ * @param {{name: string, steps: Object[]}} flow Flow with normalized steps
+ * @returns {string}
+ */
+function generateFlow(flow) {
+    const lines = header(`Flow: ${flow.name.replace(/\s+/g, ' ')}`);
+
+    const used = new Set(['browser', 'page', 'chromium']);
+    flow.steps.forEach(step => {
+        if (step.type === 'navigate') {
+            // Navigations caused by a click or submit only need waiting for
+            lines.push('', step.cause === 'page'
+                ? `    await page.waitForURL(${quote(step.url)});`
+                : `    await page.goto(${quote(step.url)});`);
+            return;
+        }
+
+        const name = uniqueName(step.element, used);
+        const lookup = elementLookup(step.element, name);
+        const action = stepAction(step, name);
+        if (!lookup || !action) {
+            lines.push('', `    // ${step.type} on ${describe(step.element)}: cannot be replayed`);
+            return;
+        }
+        lines.push('', ...lookup, `    ${action}`);
+    });
+
+    lines.push('', '    await browser.close();', '})();', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    name: 'playwright',
+    label: 'Playwright',
+    fileExtension: 'js',
+    generate,
+    generateFlow
+};
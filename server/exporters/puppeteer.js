@@ -0,0 +1,202 @@
+// exporters/puppeteer.js - Generates Puppeteer scripts from captured elements
+const { selectorCandidates, isNested, frameSegments, groupByUrl, uniqueName, quote, describe, stepValue } = require('./utils');
+
+// Puppeteer understands XPath through the xpath/ query handler prefix
+function toPuppeteerSelector({ type, selector }) {
+    return type === 'xpath' ? `xpath/${selector}` : selector;
+}
+
+// Enters each frame in turn and pierces shadow roots with the >>> combinator
+function nestedLookup(element, name) {
+    const lines = [`    // ${describe(element)} inside frames or shadow roots`];
+    const segments = frameSegments(element.chain);
+    let context = 'page';
+
+    segments.forEach((segment, index) => {
+        const selector = quote(segment.map(step => step.selector).join(' >>> '));
+        if (index < segments.length - 1) {
+            const frameName = `${name}Frame${index + 1}`;
+            lines.push(`    const ${frameName} = await (await ${context}.waitForSelector(${selector})).contentFrame();`);
+            context = frameName;
+        } else {
+            lines.push(`    const ${name} = await ${context}.waitForSelector(${selector});`);
+        }
+    });
+
+    return lines;
+}
+
+// Declares a handle for an element, or returns null when nothing was stored to find it by
+function elementLookup(element, name) {
+    if (isNested(element)) {
+        return nestedLookup(element, name);
+    }
+
+    const chain = selectorCandidates(element);
+    if (chain.length === 0) {
+        return null;
+    }
+
+    const selectors = chain.map(toPuppeteerSelector).map(quote);
+    return [
+        `    // ${describe(element)}`,
+        `    const ${name} = await waitForAny(page, [`,
+        selectors.map(selector => `        ${selector}`).join(',\n'),
+        '    ]);'
+    ];
+}
+
+// Names the generated script declares itself; element variables in the same scope must not shadow them
+const HEADER_NAMES = ['puppeteer', 'waitForAny', 'browser', 'page'];
+
+function header(title) {
+    return [
+        "const puppeteer = require('puppeteer');",
+        '',
+        ...(title ? [`// ${title}`, ''] : []),
+        '// Tries each selector in turn so stale primary selectors fall back gracefully',
+        'async function waitForAny(page, selectors, timeout = 5000) {',
+        '    for (const selector of selectors) {',
+        '        try {',
+        '            return await page.waitForSelector(selector, { timeout });',
+        '        } catch (error) {',
+        '            // Try the next selector',
+        '        }',
+        '    }',
+        "    throw new Error(`No selector matched: ${selectors.join(', ')}`);",
+        '}',
+        '',
+        '(async () => {',
+        '    const browser = await puppeteer.launch({ headless: false });',
+        '    const page = await browser.newPage();'
+    ];
+}
+
+function generate(elements) {
+    const lines = header();
+
+    const used = new Set(HEADER_NAMES);
+    groupByUrl(elements).forEach((pageElements, url) => {
+        lines.push('', `    await page.goto(${quote(url)}, { waitUntil: 'networkidle2' });`);
+
+        pageElements.forEach(element => {
+            const lookup = elementLookup(element, uniqueName(element, used));
+            lines.push('', ...(lookup || [`    // ${describe(element)}: no stored selector`]));
+        });
+    });
+
+    lines.push('', '    await browser.close();', '})();', '');
+    return lines.join('\n');
+}
+
+// The calls replaying one recorded interaction on an element handle, without await
+function stepActions(step, name) {
+    switch (step.type) {
+        case 'click':
+            return [`${name}.click()`];
+        case 'type':
+            return [`${name}.evaluate(field => { field.value = ''; })`, `${name}.type(${stepValue(step)})`];
+        case 'select':
+            return [`${name}.select(${stepValue(step)})`];
+        case 'check':
+            return [`${name}.evaluate((box, checked) => { if (box.checked !== checked) box.click(); }, ${step.value === true})`];
+        case 'set':
+            return [
+                `${name}.evaluate((field, value) => {\n` +
+                '        field.value = value;\n' +
+                "        field.dispatchEvent(new Event('input', { bubbles: true }));\n" +
+                "        field.dispatchEvent(new Event('change', { bubbles: true }));\n" +
+                `    }, ${stepValue(step)})`
+            ];
+        case 'submit':
+            return [`${name}.evaluate(form => form.requestSubmit())`];
+        default:
+            return null;
+    }
+}
+
+/**
+ * Lines finding a step's element and running its actions
+ * @param {Object} step Normalized step
+ * @param {Set<string>} used Variable names taken so far
+ * @param {boolean} navigates Whether the last action leads to another page
+ * @returns {string[]}
+ */
+function stepLines(step, used, navigates = false) {
+    const name = uniqueName(step.element, used);
+    const lookup = elementLookup(step.element, name);
+    const actions = stepActions(step, name);
+    if (!lookup || !actions) {
+        return [`    // ${step.type} on ${describe(step.element)}: cannot be replayed`];
+    }
+
+    // Start waiting before the last call when it leads to another page
+    const last = actions.pop();
+    return [
+        ...lookup,
+        ...actions.map(action => `    await ${action};`),
+        navigates
+            ? `    await Promise.all([page.waitForNavigation(), ${last}]);`
+            : `    await ${last};`
+    ];
+}
+
+/**
+ * Generates a script replaying a recorded flow step by step
+ * @param {{name: string, steps: Object[]}} flow Flow with normalized steps
+ * @returns {string}
+ */
+function generateFlow(flow) {
+    const lines = header(`Flow: ${flow.name.replace(/\s+/g, ' ')}`);
+
+    const used = new Set(HEADER_NAMES);
+    flow.steps.forEach((step, index) => {
+        if (step.type === 'navigate') {
+            lines.push('', step.cause === 'page'
+                ? `    // Now on ${step.url}`
+                : `    await page.goto(${quote(step.url)}, { waitUntil: 'networkidle2' });`);
+            return;
+        }
+
+        const next = flow.steps[index + 1];
+        lines.push('', ...stepLines(step, used, next && next.type === 'navigate' && next.cause === 'page'));
+    });
+
+    lines.push('', '    await browser.close();', '})();', '');
+    return lines.join('\n');
+}
+
+/**
+ * Generates a script filling a form with the placeholder values of a fill recipe
+ * @param {{name: string, url: string, steps: Object[], submit: Object|null}} recipe
+ * @returns {string}
+ */
+function generateFillRecipe(recipe) {
+    const lines = header(`Fill recipe: ${recipe.name.replace(/\s+/g, ' ')} (replace the placeholder values)`);
+    lines.push('', `    await page.goto(${quote(recipe.url)}, { waitUntil: 'networkidle2' });`);
+
+    const used = new Set(HEADER_NAMES);
+    recipe.steps.forEach(step => {
+        lines.push('', ...(step.note ? [`    // ${step.note}`] : []), ...stepLines(step, used));
+    });
+
+    if (recipe.submit) {
+        lines.push(
+            '',
+            '    // Submit; wrap in Promise.all with page.waitForNavigation() if the form loads another page',
+            ...stepLines({ type: 'click', element: recipe.submit }, used)
+        );
+    }
+
+    lines.push('', '    await browser.close();', '})();', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    name: 'puppeteer',
+    label: 'Puppeteer',
+    fileExtension: 'js',
+    generate,
+    generateFlow,
+    generateFillRecipe
+};
@@ -0,0 +1,209 @@
+// exporters/utils.js - Helpers shared by the script exporters
+
+/**
+ * Turns a stored elements row into the shape exporters work with
+ * @param {Object} row Row from the elements table
+ * @returns {Object}
+ */
+function normalizeElement(row) {
+    const fullData = parseJson(row.fullData, {});
+    return {
+        id: row.id,
+        name: row.name || '',
+        tagName: row.tagName || '',
+        role: row.role || fullData.role || '',
+        url: row.url || '',
+        text: row.elementText || '',
+        cssSelector: row.cssSelector || '',
+        xpath: row.xpath || '',
+        selectors: parseJson(row.selectors, []),
+        chain: parseJson(row.selectorChain, []),
+        preferredSelector: parseJson(row.preferredSelector, null)
+    };
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Preferred selector first when one was picked, then the primary selector,
+ * then the remaining unique candidates as fallbacks
+ * @param {Object} element Normalized element
+ * @param {number} max Maximum number of selectors returned
+ * @returns {Array<{type: string, selector: string}>}
+ */
+function selectorCandidates(element, max = 3) {
+    const chain = [];
+    const add = (type, selector) => {
+        if (selector && !chain.some(entry => entry.type === type && entry.selector === selector)) {
+            chain.push({ type, selector });
+        }
+    };
+
+    if (element.preferredSelector) {
+        add(element.preferredSelector.type, element.preferredSelector.selector);
+    }
+    add('css', element.cssSelector);
+    add('xpath', element.xpath);
+    element.selectors
+        .filter(candidate => candidate.unique)
+        .forEach(candidate => add(candidate.type, candidate.selector));
+
+    return chain.slice(0, max);
+}
+
+/**
+ * Whether an element sits inside a frame or shadow root and needs its chain
+ * @param {Object} element Normalized element
+ * @returns {boolean}
+ */
+function isNested(element) {
+    return element.chain.length > 1;
+}
+
+/**
+ * Splits a selector chain at frame boundaries. Each segment ends either with
+ * a frame step (to be entered) or with the target element; the steps inside
+ * a segment are shadow hosts to pierce on the way.
+ * @param {Array<{type: string, selector: string}>} chain
+ * @returns {Array<Array<{type: string, selector: string}>>}
+ */
+function frameSegments(chain) {
+    const segments = [[]];
+    chain.forEach(step => {
+        segments[segments.length - 1].push(step);
+        if (step.type === 'frame') segments.push([]);
+    });
+    return segments.filter(segment => segment.length > 0);
+}
+
+/**
+ * Groups elements by page so each page gets a single goto
+ * @param {Object[]} elements
+ * @returns {Map<string, Object[]>}
+ */
+function groupByUrl(elements) {
+    const groups = new Map();
+    elements.forEach(element => {
+        if (!groups.has(element.url)) groups.set(element.url, []);
+        groups.get(element.url).push(element);
+    });
+    return groups;
+}
+
+// Words that cannot name a variable in strict-mode code, generated scripts and classes are strict
+const RESERVED_WORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface',
+    'package', 'private', 'protected', 'public', 'arguments', 'eval'
+]);
+
+// Joins the words of free text in camelCase, empty when it has no usable characters
+function camelCase(text) {
+    return String(text || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .slice(0, 4)
+        .map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+/**
+ * Builds a camelCase JavaScript identifier from free text; reserved words get the fallback as suffix
+ * @param {string} text
+ * @param {string} fallback Used when text has no usable characters, cleaned up the same way (a tag name such as my-widget)
+ * @returns {string}
+ */
+function toIdentifier(text, fallback = 'element') {
+    const cleanFallback = camelCase(fallback);
+    const base = /^[a-z]/.test(cleanFallback) && !RESERVED_WORDS.has(cleanFallback) ? cleanFallback : 'element';
+    const identifier = camelCase(text);
+
+    if (!identifier) return base;
+    if (/^[0-9]/.test(identifier)) return `${base}${identifier}`;
+    return RESERVED_WORDS.has(identifier)
+        ? `${identifier}${base.charAt(0).toUpperCase()}${base.slice(1)}`
+        : identifier;
+}
+
+/**
+ * Picks a variable name for an element that is not already in use
+ * @param {Object} element Normalized element
+ * @param {Set<string>} used Names taken so far, updated in place
+ * @returns {string}
+ */
+function uniqueName(element, used) {
+    const base = element.name
+        ? toIdentifier(element.name)
+        : toIdentifier(element.text, element.tagName || 'element');
+
+    let name = base;
+    let counter = 2;
+    while (used.has(name)) {
+        name = `${base}${counter++}`;
+    }
+    used.add(name);
+    return name;
+}
+
+/**
+ * Quotes a value as a single-quoted JavaScript string literal
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+    return `'${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029')}'`;
+}
+
+/**
+ * One-line description used as a comment above generated code
+ * @param {Object} element Normalized element
+ * @returns {string}
+ */
+function describe(element) {
+    const text = element.text.replace(/\s+/g, ' ').trim().slice(0, 40);
+    return `<${element.tagName}>${text ? ` "${text}"` : ''}`;
+}
+
+/**
+ * Code for the value a recorded step enters; password fields are never recorded
+ * and read from an environment variable instead
+ * @param {Object} step Normalized flow step
+ * @returns {string}
+ */
+function stepValue(step) {
+    if (step.masked) return "process.env.FLOW_SECRET || ''";
+    if (Array.isArray(step.value)) return step.value.map(quote).join(', ');
+    return quote(step.value ?? '');
+}
+
+module.exports = {
+    normalizeElement,
+    parseJson,
+    selectorCandidates,
+    isNested,
+    frameSegments,
+    groupByUrl,
+    toIdentifier,
+    uniqueName,
+    quote,
+    describe,
+    stepValue
+};
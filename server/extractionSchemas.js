@@ -0,0 +1,140 @@
+// extractionSchemas.js - List-extraction schemas generated from repeating page patterns
+const { HttpError } = require('./errors');
+const { parseJson } = require('./exporters/utils');
+
+const EXTRACTORS = ['text', 'href', 'attribute'];
+
+/**
+ * Checks named field definitions: { name, selector, extract, attribute }.
+ * A missing selector reads the row element itself.
+ * @param {Array} fields
+ * @returns {Array} The fields, with only the known keys kept
+ */
+function validateFields(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new HttpError(400, 'fields must be a non-empty array');
+    }
+
+    const names = new Set();
+    return fields.map((field, index) => {
+        const { name, selector, extract = 'text', attribute } = field || {};
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new HttpError(400, `fields[${index}].name is required`);
+        }
+        if (names.has(name)) {
+            throw new HttpError(400, `Duplicate field name: ${name}`);
+        }
+        names.add(name);
+
+        if (selector !== undefined && selector !== null && typeof selector !== 'string') {
+            throw new HttpError(400, `fields[${index}].selector must be a string`);
+        }
+        if (!EXTRACTORS.includes(extract)) {
+            throw new HttpError(400, `fields[${index}].extract must be one of ${EXTRACTORS.join(', ')}`);
+        }
+        if (extract === 'attribute' && (typeof attribute !== 'string' || !attribute)) {
+            throw new HttpError(400, `fields[${index}].attribute is required for attribute extraction`);
+        }
+
+        return {
+            name,
+            selector: selector || null,
+            extract,
+            ...(extract === 'attribute' ? { attribute } : {})
+        };
+    });
+}
+
+// Rows keep their JSON columns parsed, the dashboard renders them directly
+function toSchema(row) {
+    return {
+        ...row,
+        fields: parseJson(row.fields, []),
+        preview: parseJson(row.preview, []),
+        pagination: parseJson(row.pagination, null)
+    };
+}
+
+/**
+ * Stores the schema generated for a captured element
+ * @param {Object} db
+ * @param {number} elementId
+ * @param {string} url Page the schema was generated on
+ * @param {Object} schema As generated by ElementAnalyzer.generateExtractionSchema
+ * @returns {Promise<Object>}
+ */
+async function createSchema(db, elementId, url, schema) {
+    const name = schema.name || `List of ${schema.itemSelector}`;
+    const result = await db.run(`
+        INSERT INTO extraction_schemas (
+            elementId, name, url, containerSelector, itemSelector, rowSelector,
+            fields, preview, itemCount, pagination
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        elementId,
+        name,
+        url || '',
+        schema.containerSelector || '',
+        schema.itemSelector || '',
+        schema.rowSelector,
+        JSON.stringify(validateFields(schema.fields)),
+        JSON.stringify(schema.preview || []),
+        schema.itemCount || 0,
+        schema.pagination ? JSON.stringify(schema.pagination) : null
+    ]);
+    return getSchema(db, result.lastID);
+}
+
+async function listSchemas(db) {
+    const rows = await db.all(`
+        SELECT * FROM extraction_schemas
+        ORDER BY createdAt DESC, id DESC
+    `);
+    return rows.map(toSchema);
+}
+
+async function getSchema(db, id) {
+    const row = await db.get('SELECT * FROM extraction_schemas WHERE id = ?', [id]);
+    if (!row) {
+        throw new HttpError(404, `Extraction schema ${id} not found`);
+    }
+    return toSchema(row);
+}
+
+async function updateSchema(db, id, { name, rowSelector, fields }) {
+    const current = await getSchema(db, id);
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw new HttpError(400, 'name must be a non-empty string');
+    }
+    if (rowSelector !== undefined && (typeof rowSelector !== 'string' || !rowSelector.trim())) {
+        throw new HttpError(400, 'rowSelector must be a non-empty string');
+    }
+
+    await db.run(`
+        UPDATE extraction_schemas
+        SET name = ?, rowSelector = ?, fields = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [
+        name === undefined ? current.name : name.trim(),
+        rowSelector === undefined ? current.rowSelector : rowSelector.trim(),
+        JSON.stringify(fields === undefined ? current.fields : validateFields(fields)),
+        id
+    ]);
+    return getSchema(db, id);
+}
+
+async function deleteSchema(db, id) {
+    const result = await db.run('DELETE FROM extraction_schemas WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new HttpError(404, `Extraction schema ${id} not found`);
+    }
+}
+
+module.exports = {
+    validateFields,
+    createSchema,
+    listSchemas,
+    getSchema,
+    updateSchema,
+    deleteSchema
+};
@@ -0,0 +1,227 @@
+// fillRecipes.js - Fill recipes with typed placeholder values for analyzed forms
+const { HttpError } = require('./errors');
+
+// Values by autocomplete token, the most precise hint a field gives
+const AUTOCOMPLETE_VALUES = {
+    'name': 'Jane Doe',
+    'given-name': 'Jane',
+    'family-name': 'Doe',
+    'username': 'janedoe',
+    'email': 'jane.doe@example.com',
+    'new-password': 'Placeholder#2030',
+    'current-password': 'Placeholder#2030',
+    'tel': '+15555550123',
+    'organization': 'Example Inc',
+    'street-address': '1 Main Street',
+    'address-line1': '1 Main Street',
+    'address-line2': 'Apt 2',
+    'address-level2': 'Springfield',
+    'address-level1': 'IL',
+    'postal-code': '62701',
+    'country': 'US',
+    'country-name': 'United States',
+    'cc-name': 'Jane Doe',
+    'cc-number': '4111111111111111',
+    'cc-exp': '12/30',
+    'cc-exp-month': '12',
+    'cc-exp-year': '2030',
+    'cc-csc': '123',
+    'bday': '1990-01-15',
+    'one-time-code': '123456',
+    'url': 'https://example.com'
+};
+
+// Values by input type
+const TYPE_VALUES = {
+    email: 'jane.doe@example.com',
+    password: 'Placeholder#2030',
+    tel: '+15555550123',
+    url: 'https://example.com',
+    search: 'example',
+    color: '#336699',
+    date: '2030-01-15',
+    time: '12:00',
+    'datetime-local': '2030-01-15T12:00',
+    month: '2030-01',
+    week: '2030-W03',
+    textarea: 'Sample text'
+};
+
+// Autocomplete tokens guessed from names and labels when the field has none
+const NAME_HINTS = [
+    [/first.?name|given/i, 'given-name'],
+    [/last.?name|surname|family/i, 'family-name'],
+    [/full.?name|^name$/i, 'name'],
+    [/user.?name|login/i, 'username'],
+    [/e-?mail/i, 'email'],
+    [/phone|mobile|\btel\b/i, 'tel'],
+    [/company|organi[sz]ation/i, 'organization'],
+    [/zip|postal|post ?code/i, 'postal-code'],
+    [/address|street/i, 'street-address'],
+    [/city|town/i, 'address-level2'],
+    [/state|province|region/i, 'address-level1'],
+    [/country/i, 'country'],
+    [/card.?number|cc.?num/i, 'cc-number'],
+    [/cvc|cvv|csc|security code/i, 'cc-csc'],
+    [/expir/i, 'cc-exp'],
+    [/birth|\bdob\b/i, 'bday'],
+    [/\b(otp|verification code)\b/i, 'one-time-code'],
+    [/website|homepage/i, 'url']
+];
+
+// Types Puppeteer cannot type into reliably, their value is set directly
+const SET_TYPES = ['color', 'date', 'time', 'datetime-local', 'month', 'week', 'range'];
+
+/**
+ * Picks a placeholder value fitting a text-like field's type, purpose and constraints
+ * @param {Object} field Field from the form analysis
+ * @returns {string}
+ */
+function placeholderValue(field) {
+    const { type, constraints = {} } = field;
+
+    if (type === 'number' || type === 'range') {
+        const min = constraints.min !== undefined ? Number(constraints.min) : null;
+        const max = constraints.max !== undefined ? Number(constraints.max) : null;
+        if (type === 'range') {
+            return String(Math.round(((min ?? 0) + (max ?? 100)) / 2));
+        }
+        return String(min ?? (max !== null ? Math.min(max, 1) : 1));
+    }
+
+    const token = (field.autocomplete || '').split(/\s+/).filter(Boolean).pop();
+    const hinted = NAME_HINTS.find(([pattern]) =>
+        [field.name, field.id, field.label].some(text => text && pattern.test(text))
+    );
+    let value = AUTOCOMPLETE_VALUES[token] ||
+        TYPE_VALUES[type] ||
+        (hinted && AUTOCOMPLETE_VALUES[hinted[1]]) ||
+        'Example';
+
+    // Dates and times compare as ISO strings
+    if (SET_TYPES.includes(type)) {
+        if (constraints.min && value < constraints.min) value = constraints.min;
+        if (constraints.max && value > constraints.max) value = constraints.max;
+        return value;
+    }
+
+    const maxLength = Number(constraints.maxlength);
+    const minLength = Number(constraints.minlength);
+    if (maxLength > 0) value = value.slice(0, maxLength);
+    if (minLength > value.length) value = value.padEnd(minLength, 'x');
+    return value;
+}
+
+// Whether a value satisfies a field's pattern attribute, null when the pattern cannot be compiled
+function matchesPattern(pattern, value) {
+    try {
+        return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Turns analyzer selectors into the element shape the exporters consume
+function toElement(described, url, name) {
+    return {
+        name: name || '',
+        tagName: described.tagName || '',
+        role: '',
+        url,
+        text: described.text || name || '',
+        cssSelector: described.cssSelector || '',
+        xpath: described.xpath || '',
+        selectors: described.selectors || [],
+        chain: described.selectorChain || []
+    };
+}
+
+/**
+ * One recipe step per fillable field, in form order
+ * @param {Object} field
+ * @param {string} url
+ * @returns {{step?: Object, skipped?: Object}}
+ */
+function fieldStep(field, url) {
+    const label = field.label || field.name || field.id || field.type;
+    if (field.disabled || field.readOnly) {
+        return { skipped: { field: label, reason: 'disabled or read-only' } };
+    }
+
+    const step = { field: label, required: field.required };
+    switch (field.type) {
+        case 'file':
+            return { skipped: { field: label, reason: 'file uploads need a real file' } };
+        case 'radio': {
+            const option = field.options.find(candidate => candidate.checked && !candidate.disabled) ||
+                field.options.find(candidate => !candidate.disabled);
+            if (!option) return { skipped: { field: label, reason: 'no enabled option' } };
+            return { step: { ...step, type: 'click', value: option.value, element: toElement(option, url, option.label) } };
+        }
+        case 'checkbox':
+            // Consent boxes are usually the required ones
+            return { step: { ...step, type: 'check', value: field.required || field.checked, element: toElement(field, url, label) } };
+        case 'select':
+        case 'select-multiple': {
+            const option = field.options.find(candidate => candidate.value !== '' && !candidate.disabled);
+            if (!option) return { skipped: { field: label, reason: 'no selectable option' } };
+            return {
+                step: {
+                    ...step,
+                    type: 'select',
+                    value: field.type === 'select-multiple' ? [option.value] : option.value,
+                    element: toElement(field, url, label)
+                }
+            };
+        }
+        default: {
+            const value = placeholderValue(field);
+            const { pattern } = field.constraints || {};
+            return {
+                step: {
+                    ...step,
+                    type: SET_TYPES.includes(field.type) ? 'set' : 'type',
+                    value,
+                    element: toElement(field, url, label),
+                    ...(pattern && matchesPattern(pattern, value) === false
+                        ? { note: `Placeholder does not match the pattern ${pattern}` }
+                        : {})
+                }
+            };
+        }
+    }
+}
+
+/**
+ * Builds a fill recipe from a form analysis captured by the extension
+ * @param {Object} form As produced by ElementAnalyzer.analyzeForm
+ * @param {string} url Page the form was captured on
+ * @returns {{name: string, url: string, formSelector: string, steps: Object[], submit: Object|null, skipped: Object[]}}
+ */
+function buildFillRecipe(form, url) {
+    if (!form || !Array.isArray(form.fields)) {
+        throw new HttpError(400, 'Form analysis is missing its fields');
+    }
+
+    const steps = [];
+    const skipped = [];
+    form.fields.forEach(field => {
+        const result = fieldStep(field, url);
+        if (result.step) steps.push(result.step);
+        if (result.skipped) skipped.push(result.skipped);
+    });
+
+    return {
+        name: form.name || 'form',
+        url,
+        formSelector: form.cssSelector || '',
+        steps,
+        submit: form.submit ? toElement(form.submit, url, form.submit.text || 'submit') : null,
+        skipped
+    };
+}
+
+module.exports = {
+    placeholderValue,
+    buildFillRecipe
+};
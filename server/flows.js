@@ -0,0 +1,175 @@
+// flows.js - Recorded user journeys (ordered interaction steps) stored in SQLite
+const { HttpError } = require('./errors');
+const { parseJson } = require('./exporters/utils');
+
+const STEP_TYPES = ['navigate', 'click', 'type', 'set', 'select', 'check', 'submit'];
+
+function validateFlowName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new HttpError(400, 'name is required');
+    }
+    if (name.length > 100) {
+        throw new HttpError(400, 'name must be at most 100 characters');
+    }
+    return name.trim();
+}
+
+async function getFlowByRecordingId(db, recordingId) {
+    const flow = await db.get('SELECT * FROM flows WHERE recordingId = ?', [recordingId]);
+    if (!flow) {
+        throw new HttpError(404, `No flow is being recorded as ${recordingId}`);
+    }
+    return flow;
+}
+
+/**
+ * Opens a flow for a recording session started in the extension
+ * @param {Object} db
+ * @param {{recordingId: string, name?: string, url?: string}} recording
+ * @returns {Promise<Object>} The new flow
+ */
+async function startFlow(db, { recordingId, name, url }) {
+    if (typeof recordingId !== 'string' || !recordingId) {
+        throw new HttpError(400, 'recordingId is required');
+    }
+    const flowName = name ? validateFlowName(name) : `Recording ${new Date().toISOString()}`;
+
+    const result = await db.run(`
+        INSERT INTO flows (recordingId, name, startUrl, status)
+        VALUES (?, ?, ?, 'recording')
+    `, [recordingId, flowName, url || '']);
+    return getFlow(db, result.lastID);
+}
+
+/**
+ * Appends a recorded step to the flow of a recording session
+ * @param {Object} db
+ * @param {string} recordingId
+ * @param {Object} step Step as sent by the extension recorder
+ * @returns {Promise<number>} Id of the stored step
+ */
+async function addStep(db, recordingId, step) {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+        throw new HttpError(400, `Unknown step type: ${step && step.type}`);
+    }
+    const flow = await getFlowByRecordingId(db, recordingId);
+
+    const { nextPosition } = await db.get(`
+        SELECT COALESCE(MAX(position), -1) + 1 AS nextPosition
+        FROM flow_steps
+        WHERE flowId = ?
+    `, [flow.id]);
+
+    const result = await db.run(`
+        INSERT INTO flow_steps (
+            flowId, position, type, tagName, elementText, url, cssSelector, xpath,
+            selectors, selectorChain, value, data
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        flow.id,
+        nextPosition,
+        step.type,
+        step.tagName || '',
+        step.text || '',
+        step.url || '',
+        step.cssSelector || '',
+        step.xpath || '',
+        JSON.stringify(step.selectors || []),
+        JSON.stringify(step.selectorChain || []),
+        step.value === undefined ? null : JSON.stringify(step.value),
+        JSON.stringify(step)
+    ]);
+    await db.run('UPDATE flows SET updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [flow.id]);
+    return result.lastID;
+}
+
+async function finishFlow(db, recordingId) {
+    const flow = await getFlowByRecordingId(db, recordingId);
+    await db.run(`
+        UPDATE flows SET status = 'complete', updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [flow.id]);
+    return getFlow(db, flow.id);
+}
+
+async function listFlows(db) {
+    return db.all(`
+        SELECT f.*, COUNT(s.id) AS stepCount
+        FROM flows f
+        LEFT JOIN flow_steps s ON s.flowId = f.id
+        GROUP BY f.id
+        ORDER BY f.createdAt DESC, f.id DESC
+    `);
+}
+
+async function getFlow(db, id) {
+    const flow = await db.get('SELECT * FROM flows WHERE id = ?', [id]);
+    if (!flow) {
+        throw new HttpError(404, `Flow ${id} not found`);
+    }
+
+    flow.steps = await db.all(`
+        SELECT * FROM flow_steps
+        WHERE flowId = ?
+        ORDER BY position, id
+    `, [id]);
+
+    return flow;
+}
+
+async function renameFlow(db, id, { name }) {
+    const flowName = validateFlowName(name);
+    const result = await db.run(
+        'UPDATE flows SET name = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [flowName, id]
+    );
+    if (result.changes === 0) {
+        throw new HttpError(404, `Flow ${id} not found`);
+    }
+    return getFlow(db, id);
+}
+
+async function deleteFlow(db, id) {
+    const result = await db.run('DELETE FROM flows WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new HttpError(404, `Flow ${id} not found`);
+    }
+}
+
+/**
+ * Turns a stored flow_steps row into the shape exporters work with; the
+ * target element is normalized like a captured element
+ * @param {Object} row Row from the flow_steps table
+ * @returns {Object}
+ */
+function normalizeStep(row) {
+    const data = parseJson(row.data, {});
+    return {
+        type: row.type,
+        url: row.url || '',
+        value: parseJson(row.value, undefined),
+        masked: Boolean(data.masked),
+        cause: data.cause || '',
+        element: {
+            name: '',
+            tagName: row.tagName || '',
+            text: row.elementText || '',
+            url: row.url || '',
+            cssSelector: row.cssSelector || '',
+            xpath: row.xpath || '',
+            selectors: parseJson(row.selectors, []),
+            chain: parseJson(row.selectorChain, [])
+        }
+    };
+}
+
+module.exports = {
+    startFlow,
+    addStep,
+    finishFlow,
+    listFlows,
+    getFlow,
+    renameFlow,
+    deleteFlow,
+    normalizeStep
+};
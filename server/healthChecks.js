@@ -0,0 +1,116 @@
+// healthChecks.js - Re-resolves stored selectors in the live tab and records the outcome
+
+/**
+ * Maps a match count onto a health status
+ * @param {number} matchCount
+ * @returns {string} pass, fail or ambiguous
+ */
+function statusFor(matchCount) {
+    if (matchCount === 1) return 'pass';
+    if (matchCount === 0) return 'fail';
+    return 'ambiguous';
+}
+
+/**
+ * Verifies the css and xpath selectors of every element stored for a page
+ * @param {Object} db
+ * @param {Function} runCommand Sends a command to the extension and resolves its result
+ * @param {{url?: string}} options Page to check, defaults to the tab's current URL
+ * @returns {Promise<Object>} Summary with one result per selector
+ */
+async function runHealthCheck(db, runCommand, { url } = {}) {
+    const pageUrl = url || (await runCommand({ name: 'pageInfo' })).url;
+    const elements = await db.all(
+        'SELECT id, cssSelector, xpath, selectorChain FROM elements WHERE url = ?',
+        [pageUrl]
+    );
+
+    const selectors = [];
+    elements.forEach(element => {
+        // Elements inside frames or shadow roots are checked through their chain
+        const chain = JSON.parse(element.selectorChain || '[]');
+        if (chain.length > 1) {
+            selectors.push({ key: `${element.id}:chain`, elementId: element.id, type: 'chain', selector: chain.map(step => step.selector).join(' >>> '), chain });
+            return;
+        }
+
+        if (element.cssSelector) {
+            selectors.push({ key: `${element.id}:css`, elementId: element.id, type: 'css', selector: element.cssSelector });
+        }
+        if (element.xpath) {
+            selectors.push({ key: `${element.id}:xpath`, elementId: element.id, type: 'xpath', selector: element.xpath });
+        }
+    });
+
+    const checkedAt = new Date().toISOString();
+    if (selectors.length === 0) {
+        return { url: pageUrl, checkedAt, results: [], summary: { pass: 0, fail: 0, ambiguous: 0 } };
+    }
+
+    const verification = await runCommand({
+        name: 'verifySelectors',
+        selectors: selectors.map(({ key, type, selector, chain }) => (
+            chain ? { key, chain } : { key, type, selector }
+        ))
+    });
+    const matchCounts = new Map(verification.results.map(result => [result.key, result.matchCount]));
+
+    const results = selectors.map(entry => {
+        const matchCount = matchCounts.get(entry.key) || 0;
+        return {
+            elementId: entry.elementId,
+            selectorType: entry.type,
+            selector: entry.selector,
+            status: statusFor(matchCount),
+            matchCount
+        };
+    });
+
+    // One statement rather than a transaction, the connection is shared with requests writing meanwhile
+    await db.run(`
+        INSERT INTO selector_checks (elementId, selectorType, selector, status, matchCount, checkedAt)
+        SELECT json_extract(value, '$.elementId'), json_extract(value, '$.selectorType'),
+               json_extract(value, '$.selector'), json_extract(value, '$.status'),
+               json_extract(value, '$.matchCount'), ?
+        FROM json_each(?)
+        ORDER BY key
+    `, [checkedAt, JSON.stringify(results)]);
+
+    const summary = { pass: 0, fail: 0, ambiguous: 0 };
+    results.forEach(result => summary[result.status]++);
+
+    return { url: pageUrl, checkedAt, results, summary };
+}
+
+/**
+ * Latest check per element and selector type, optionally limited to one page
+ * @param {Object} db
+ * @param {{url?: string}} filters
+ * @returns {Promise<Object[]>}
+ */
+async function getLatestChecks(db, { url } = {}) {
+    const params = [];
+    let where = '';
+    if (url) {
+        where = 'WHERE e.url = ?';
+        params.push(url);
+    }
+
+    return db.all(`
+        SELECT sc.elementId, sc.selectorType, sc.selector, sc.status, sc.matchCount, sc.checkedAt, e.url
+        FROM selector_checks sc
+        JOIN elements e ON e.id = sc.elementId
+        JOIN (
+            SELECT elementId, selectorType, MAX(id) AS latestId
+            FROM selector_checks
+            GROUP BY elementId, selectorType
+        ) latest ON latest.latestId = sc.id
+        ${where}
+        ORDER BY sc.elementId, sc.selectorType
+    `, params);
+}
+
+module.exports = {
+    runHealthCheck,
+    getLatestChecks
+};
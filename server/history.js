@@ -0,0 +1,156 @@
+// history.js - Filtered, cursor-paginated search over captured elements
+const { HttpError } = require('./errors');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+// The trigram index needs at least this many characters, shorter terms fall back to LIKE
+const MIN_FTS_LENGTH = 3;
+
+/**
+ * Host name of a page URL, lower-cased, '' when the URL cannot be parsed
+ * @param {string} url
+ * @returns {string}
+ */
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+// SQLite stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parses a from/to bound. A bare date as upper bound covers that whole day.
+ * @returns {{value: string, inclusive: boolean}}
+ */
+function parseDateBound(value, name, upper) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, `Invalid ${name} date: ${value}`);
+    }
+    if (upper && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        return { value: toSqlTimestamp(date), inclusive: false };
+    }
+    return { value: toSqlTimestamp(date), inclusive: true };
+}
+
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.timestamp, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof timestamp === 'string' && Number.isInteger(id)) {
+            return { timestamp, id };
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new HttpError(400, 'Invalid cursor');
+}
+
+// Substring match through the trigram index
+function textCondition(column, value, conditions, params) {
+    if (value.length < MIN_FTS_LENGTH) {
+        conditions.push(`${column} LIKE ? ESCAPE '\\'`);
+        params.push(`%${value.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+        return;
+    }
+    conditions.push(`id IN (SELECT rowid FROM elements_fts WHERE elements_fts MATCH ?)`);
+    params.push(`${column} : "${value.replace(/"/g, '""')}"`);
+}
+
+/**
+ * Captured elements matching the given filters, newest first.
+ * @param {Object} db
+ * @param {Object} query
+ * @param {string} [query.url] Substring of the page URL
+ * @param {string} [query.domain] Host name, subdomains included
+ * @param {string} [query.tagName]
+ * @param {string} [query.role]
+ * @param {string} [query.text] Substring of the element text
+ * @param {string} [query.from] Earliest capture date or time
+ * @param {string} [query.to] Latest capture date or time
+ * @param {number} [query.collectionId] Only elements of this collection
+ * @param {number} [query.limit]
+ * @param {string} [query.cursor] nextCursor of the previous page
+ * @returns {Promise<{elements: Object[], total: number, nextCursor: string|null}>}
+ */
+async function searchHistory(db, query = {}) {
+    const conditions = [];
+    const params = [];
+    // Repeated query parameters arrive as arrays, only single values are filters
+    const filter = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+
+    if (filter('url')) {
+        textCondition('url', filter('url'), conditions, params);
+    }
+    if (filter('domain')) {
+        const domain = filter('domain').toLowerCase();
+        conditions.push(`(domain = ? OR domain LIKE ?)`);
+        params.push(domain, `%.${domain}`);
+    }
+    if (filter('tagName')) {
+        conditions.push('tagName = ? COLLATE NOCASE');
+        params.push(filter('tagName'));
+    }
+    if (filter('role')) {
+        conditions.push('role = ?');
+        params.push(filter('role'));
+    }
+    if (filter('text')) {
+        textCondition('elementText', filter('text'), conditions, params);
+    }
+    if (filter('from')) {
+        conditions.push('timestamp >= ?');
+        params.push(parseDateBound(filter('from'), 'from', false).value);
+    }
+    if (filter('to')) {
+        const bound = parseDateBound(filter('to'), 'to', true);
+        conditions.push(bound.inclusive ? 'timestamp <= ?' : 'timestamp < ?');
+        params.push(bound.value);
+    }
+    if (query.collectionId !== undefined) {
+        conditions.push('id IN (SELECT elementId FROM collection_elements WHERE collectionId = ?)');
+        params.push(query.collectionId);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM elements ${where}`, params);
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (filter('cursor')) {
+        const cursor = decodeCursor(filter('cursor'));
+        pageConditions.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+        pageParams.push(cursor.timestamp, cursor.timestamp, cursor.id);
+    }
+
+    // One extra row tells whether another page follows
+    const rows = await db.all(`
+        SELECT * FROM elements
+        ${pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ?
+    `, [...pageParams, limit + 1]);
+
+    const elements = rows.slice(0, limit);
+    return {
+        elements,
+        total,
+        nextCursor: rows.length > limit ? encodeCursor(elements[elements.length - 1]) : null
+    };
+}
+
+module.exports = {
+    domainOf,
+    searchHistory
+};
@@ -0,0 +1,513 @@
+// migrations.js - Ordered schema migrations, tracked in the database with PRAGMA user_version
+const fs = require('fs');
+const { domainOf } = require('./history');
+
+// Fills role and domain for elements captured before those columns existed
+async function backfillSearchColumns(db) {
+    await db.run(`
+        UPDATE elements
+        SET role = CASE WHEN json_valid(fullData) THEN COALESCE(json_extract(fullData, '$.role'), '') ELSE '' END
+        WHERE role IS NULL
+    `);
+
+    const rows = await db.all('SELECT id, url FROM elements WHERE domain IS NULL');
+    for (const row of rows) {
+        await db.run('UPDATE elements SET domain = ? WHERE id = ?', [domainOf(row.url), row.id]);
+    }
+}
+
+// Trigram full-text index over element text and URL, kept in sync by triggers
+async function initializeTextSearch(db) {
+    const existing = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'elements_fts'`);
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS elements_fts USING fts5(
+            elementText, url, content = 'elements', content_rowid = 'id', tokenize = 'trigram'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS elements_fts_insert AFTER INSERT ON elements BEGIN
+            INSERT INTO elements_fts (rowid, elementText, url) VALUES (new.id, new.elementText, new.url);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS elements_fts_delete AFTER DELETE ON elements BEGIN
+            INSERT INTO elements_fts (elements_fts, rowid, elementText, url)
+            VALUES ('delete', old.id, old.elementText, old.url);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS elements_fts_update AFTER UPDATE OF elementText, url ON elements BEGIN
+            INSERT INTO elements_fts (elements_fts, rowid, elementText, url)
+            VALUES ('delete', old.id, old.elementText, old.url);
+            INSERT INTO elements_fts (rowid, elementText, url) VALUES (new.id, new.elementText, new.url);
+        END;
+    `);
+
+    // Index what was captured before the search table existed
+    if (!existing) {
+        await db.run(`INSERT INTO elements_fts (elements_fts) VALUES ('rebuild')`);
+    }
+}
+
+// Adds a column to an existing table unless it is already there
+async function ensureColumn(db, table, column, type) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
+/**
+ * Version 1: the schema as it was before migrations existed. Databases created by
+ * older releases are at user_version 0 with some of these tables already in place,
+ * so every statement here must be idempotent.
+ */
+async function baseline(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS elements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tagName TEXT,
+            elementId TEXT,
+            className TEXT,
+            url TEXT,
+            xpath TEXT,
+            cssSelector TEXT,
+            attributes TEXT,
+            elementText TEXT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            fullData TEXT
+        )
+    `);
+
+    // Columns added after the initial release
+    await ensureColumn(db, 'elements', 'selectors', 'TEXT');
+    await ensureColumn(db, 'elements', 'fingerprint', 'TEXT');
+    await ensureColumn(db, 'elements', 'selectorChain', 'TEXT');
+    await ensureColumn(db, 'elements', 'groupId', 'INTEGER');
+    await ensureColumn(db, 'elements', 'groupPosition', 'INTEGER');
+    await ensureColumn(db, 'elements', 'role', 'TEXT');
+    await ensureColumn(db, 'elements', 'domain', 'TEXT');
+    await ensureColumn(db, 'elements', 'name', 'TEXT');
+    await ensureColumn(db, 'elements', 'notes', 'TEXT');
+    await ensureColumn(db, 'elements', 'tags', 'TEXT');
+    await ensureColumn(db, 'elements', 'preferredSelector', 'TEXT');
+    await backfillSearchColumns(db);
+
+    // History filters and ordering
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_elements_timestamp ON elements (timestamp, id);
+        CREATE INDEX IF NOT EXISTS idx_elements_domain ON elements (domain);
+        CREATE INDEX IF NOT EXISTS idx_elements_tag ON elements (tagName COLLATE NOCASE);
+        CREATE INDEX IF NOT EXISTS idx_elements_role ON elements (role);
+    `);
+    await initializeTextSearch(db);
+
+
+    // Named element libraries (page objects)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            description TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS collection_elements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            collectionId INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+            elementId INTEGER NOT NULL REFERENCES elements(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (collectionId, name)
+        );
+    `);
+
+    // Results of re-resolving stored selectors against the live page
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS selector_checks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            elementId INTEGER NOT NULL REFERENCES elements(id) ON DELETE CASCADE,
+            selectorType TEXT NOT NULL,
+            selector TEXT NOT NULL,
+            status TEXT NOT NULL,
+            matchCount INTEGER NOT NULL,
+            checkedAt DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_selector_checks_element
+            ON selector_checks (elementId, selectorType);
+    `);
+
+    // Multi-select captures; member elements point back with groupId
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS capture_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT,
+            container TEXT,
+            elementCount INTEGER NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // List-extraction schemas generated from captured list items
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS extraction_schemas (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            elementId INTEGER REFERENCES elements(id) ON DELETE SET NULL,
+            name TEXT NOT NULL,
+            url TEXT,
+            containerSelector TEXT,
+            itemSelector TEXT,
+            rowSelector TEXT NOT NULL,
+            fields TEXT NOT NULL,
+            preview TEXT,
+            itemCount INTEGER,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await ensureColumn(db, 'extraction_schemas', 'pagination', 'TEXT');
+
+    // Rows scraped from the live tab, one snapshot per run
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS datasets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            schemaId INTEGER REFERENCES extraction_schemas(id) ON DELETE SET NULL,
+            url TEXT NOT NULL,
+            definition TEXT NOT NULL,
+            pages TEXT NOT NULL,
+            rowCount INTEGER NOT NULL,
+            rows TEXT NOT NULL,
+            error TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_datasets_url
+            ON datasets (url, createdAt);
+    `);
+
+    // Recorded user journeys, one row per interaction in order
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS flows (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            recordingId TEXT NOT NULL UNIQUE,
+            name TEXT NOT NULL,
+            startUrl TEXT,
+            status TEXT NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS flow_steps (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            flowId INTEGER NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            tagName TEXT,
+            elementText TEXT,
+            url TEXT,
+            cssSelector TEXT,
+            xpath TEXT,
+            selectors TEXT,
+            selectorChain TEXT,
+            value TEXT,
+            data TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_flow_steps_flow
+            ON flow_steps (flowId, position);
+    `);
+}
+
+/**
+ * The flat elements row as the API has always returned it, assembled from the normalized tables
+ * @param {string} [extraColumns] Columns later versions add after tags, each starting with a comma
+ * @returns {string}
+ */
+function elementsView(extraColumns = '') {
+    return `
+    CREATE VIEW elements AS
+    SELECT
+        c.*,
+        p.url,
+        p.domain,
+        (
+            -- json_group_array with ORDER BY would turn the objects into strings
+            SELECT COALESCE('[' || group_concat(json_object(
+                'strategy', s.strategy,
+                'type', s.type,
+                'selector', s.selector,
+                'score', s.score,
+                'matchCount', s.matchCount,
+                'unique', json(CASE WHEN s.isUnique THEN 'true' ELSE 'false' END)
+            ), ',' ORDER BY s.position) || ']', '[]')
+            FROM selector_candidates s
+            WHERE s.captureId = c.id
+        ) AS selectors,
+        (
+            SELECT json_group_object(a.name, a.value)
+            FROM capture_attributes a
+            WHERE a.captureId = c.id
+        ) AS attributes,
+        (
+            SELECT json_group_array(t.name ORDER BY ct.position)
+            FROM capture_tags ct
+            JOIN tags t ON t.id = ct.tagId
+            WHERE ct.captureId = c.id
+        ) AS tags${extraColumns}
+    FROM captures c
+    LEFT JOIN pages p ON p.id = c.pageId
+`;
+}
+
+/**
+ * Version 2: splits the elements table into pages, captures, selector candidates,
+ * attributes and tags. The elements table becomes the captures table (renaming it
+ * carries the foreign keys of collections, checks and schemas along) and a view
+ * named elements keeps the row shape every query reads. fullData still holds the
+ * payload exactly as captured.
+ */
+async function normalizeCaptures(db) {
+    // The search index and its triggers are rebuilt on top of the new tables
+    await db.exec(`
+        DROP TRIGGER IF EXISTS elements_fts_insert;
+        DROP TRIGGER IF EXISTS elements_fts_delete;
+        DROP TRIGGER IF EXISTS elements_fts_update;
+        DROP TABLE IF EXISTS elements_fts;
+        DROP INDEX IF EXISTS idx_elements_timestamp;
+        DROP INDEX IF EXISTS idx_elements_domain;
+        DROP INDEX IF EXISTS idx_elements_tag;
+        DROP INDEX IF EXISTS idx_elements_role;
+
+        CREATE TABLE pages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL UNIQUE,
+            domain TEXT NOT NULL DEFAULT '',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO pages (url, domain, createdAt)
+        SELECT COALESCE(url, ''), COALESCE(MAX(domain), ''), MIN(timestamp)
+        FROM elements
+        GROUP BY COALESCE(url, '');
+
+        ALTER TABLE elements RENAME TO captures;
+        ALTER TABLE captures ADD COLUMN pageId INTEGER REFERENCES pages(id);
+        UPDATE captures SET pageId = (SELECT id FROM pages WHERE pages.url = COALESCE(captures.url, ''));
+
+        CREATE TABLE selector_candidates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            captureId INTEGER NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            strategy TEXT,
+            type TEXT NOT NULL,
+            selector TEXT NOT NULL,
+            score NUMERIC,
+            matchCount INTEGER,
+            isUnique INTEGER NOT NULL DEFAULT 0
+        );
+
+        INSERT INTO selector_candidates (captureId, position, strategy, type, selector, score, matchCount, isUnique)
+        SELECT c.id, j.key, j.value ->> 'strategy', j.value ->> 'type', j.value ->> 'selector',
+            j.value ->> 'score', j.value ->> 'matchCount', COALESCE(j.value ->> 'unique', 0)
+        FROM captures c, json_each(c.selectors) j
+        WHERE json_valid(c.selectors) AND json_type(c.selectors) = 'array'
+            AND j.type = 'object' AND j.value ->> 'type' IS NOT NULL AND j.value ->> 'selector' IS NOT NULL;
+
+        CREATE TABLE capture_attributes (
+            captureId INTEGER NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            value TEXT,
+            PRIMARY KEY (captureId, name)
+        );
+
+        INSERT INTO capture_attributes (captureId, name, value)
+        SELECT c.id, j.key, j.value
+        FROM captures c, json_each(c.attributes) j
+        WHERE json_valid(c.attributes) AND json_type(c.attributes) = 'object';
+
+        INSERT OR IGNORE INTO capture_attributes (captureId, name, value)
+        SELECT c.id, j.value ->> 'name', j.value ->> 'value'
+        FROM captures c, json_each(c.attributes) j
+        WHERE json_valid(c.attributes) AND json_type(c.attributes) = 'array'
+            AND j.type = 'object' AND j.value ->> 'name' IS NOT NULL;
+
+        CREATE TABLE tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE
+        );
+
+        CREATE TABLE capture_tags (
+            captureId INTEGER NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+            tagId INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            PRIMARY KEY (captureId, tagId)
+        );
+
+        INSERT OR IGNORE INTO tags (name)
+        SELECT j.value
+        FROM captures c, json_each(c.tags) j
+        WHERE json_valid(c.tags) AND json_type(c.tags) = 'array' AND j.type = 'text';
+
+        INSERT OR IGNORE INTO capture_tags (captureId, tagId, position)
+        SELECT c.id, t.id, j.key
+        FROM captures c, json_each(c.tags) j
+        JOIN tags t ON t.name = j.value
+        WHERE json_valid(c.tags) AND json_type(c.tags) = 'array' AND j.type = 'text';
+
+        ALTER TABLE captures DROP COLUMN url;
+        ALTER TABLE captures DROP COLUMN domain;
+        ALTER TABLE captures DROP COLUMN selectors;
+        ALTER TABLE captures DROP COLUMN attributes;
+        ALTER TABLE captures DROP COLUMN tags;
+
+        ${elementsView()};
+
+        CREATE INDEX idx_captures_timestamp ON captures (timestamp, id);
+        CREATE INDEX idx_captures_page ON captures (pageId);
+        CREATE INDEX idx_captures_tag ON captures (tagName COLLATE NOCASE);
+        CREATE INDEX idx_captures_role ON captures (role);
+        CREATE INDEX idx_pages_domain ON pages (domain);
+        CREATE INDEX idx_selector_candidates_capture ON selector_candidates (captureId, position);
+        CREATE INDEX idx_capture_tags_tag ON capture_tags (tagId);
+
+        -- Trigram index over element text and page URL, rowid is the capture id
+        CREATE VIRTUAL TABLE elements_fts USING fts5(elementText, url, tokenize = 'trigram');
+
+        INSERT INTO elements_fts (rowid, elementText, url)
+        SELECT id, COALESCE(elementText, ''), COALESCE(url, '') FROM elements;
+
+        CREATE TRIGGER captures_fts_insert AFTER INSERT ON captures BEGIN
+            INSERT INTO elements_fts (rowid, elementText, url)
+            VALUES (new.id, COALESCE(new.elementText, ''), COALESCE((SELECT url FROM pages WHERE id = new.pageId), ''));
+        END;
+
+        CREATE TRIGGER captures_fts_delete AFTER DELETE ON captures BEGIN
+            DELETE FROM elements_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER captures_fts_update AFTER UPDATE OF elementText, pageId ON captures BEGIN
+            UPDATE elements_fts
+            SET elementText = COALESCE(new.elementText, ''),
+                url = COALESCE((SELECT url FROM pages WHERE id = new.pageId), '')
+            WHERE rowid = new.id;
+        END;
+    `);
+}
+
+/**
+ * Version 3: element and context screenshots stored with each capture. Views cannot
+ * be altered, so the elements view is recreated with a screenshots column listing
+ * the kinds available.
+ */
+async function addScreenshots(db) {
+    await db.exec(`
+        CREATE TABLE capture_screenshots (
+            captureId INTEGER NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+            kind TEXT NOT NULL,
+            mimeType TEXT NOT NULL,
+            width INTEGER NOT NULL,
+            height INTEGER NOT NULL,
+            data BLOB NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (captureId, kind)
+        );
+
+        DROP VIEW elements;
+
+        ${elementsView(`,
+        (
+            SELECT json_group_array(kind ORDER BY kind DESC)
+            FROM capture_screenshots
+            WHERE captureId = c.id
+        ) AS screenshots`)};
+    `);
+}
+
+// Sanitized markup of each capture; the html columns are stored as encoding says
+async function addSnapshots(db) {
+    await db.exec(`
+        CREATE TABLE capture_snapshots (
+            captureId INTEGER PRIMARY KEY REFERENCES captures(id) ON DELETE CASCADE,
+            encoding TEXT NOT NULL,
+            elementHtml BLOB NOT NULL,
+            elementSize INTEGER NOT NULL,
+            elementTruncated INTEGER NOT NULL DEFAULT 0,
+            ancestors TEXT NOT NULL DEFAULT '[]',
+            documentHtml BLOB,
+            documentSize INTEGER,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+// Numbered log of element changes for live sync; elementId has no foreign key so deletions stay logged
+async function addElementEvents(db) {
+    await db.exec(`
+        CREATE TABLE element_events (
+            sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL CHECK (type IN ('created', 'updated', 'deleted')),
+            elementId INTEGER NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+// Append new migrations at the end; never edit or reorder one that has shipped
+const MIGRATIONS = [
+    { version: 1, name: 'baseline', up: baseline },
+    { version: 2, name: 'normalize captures', up: normalizeCaptures },
+    { version: 3, name: 'capture screenshots', up: addScreenshots },
+    { version: 4, name: 'dom snapshots', up: addSnapshots },
+    { version: 5, name: 'element events', up: addElementEvents }
+];
+
+/**
+ * Brings the database up to the latest schema version, one transaction per migration.
+ * A database that already has tables is copied next to itself before the first change.
+ * @param {Object} db Open sqlite database
+ * @param {string} [filename] Database file, for the backup copy
+ * @returns {Promise<number>} The schema version the database is at
+ */
+async function migrate(db, filename) {
+    const { user_version: current } = await db.get('PRAGMA user_version');
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+    if (pending.length === 0) {
+        await db.exec('PRAGMA foreign_keys = ON');
+        return current;
+    }
+
+    const { tableCount } = await db.get(`SELECT COUNT(*) AS tableCount FROM sqlite_master WHERE type = 'table'`);
+    const backup = filename && `${filename}.v${current}.bak`;
+    if (backup && tableCount > 0 && !fs.existsSync(backup)) {
+        await db.run('VACUUM INTO ?', [backup]);
+        console.log(`Backed up the database to ${backup} before migrating`);
+    }
+
+    // Table rebuilds must not trigger cascades; the setting cannot change inside a transaction
+    await db.exec('PRAGMA foreign_keys = OFF');
+    try {
+        for (const migration of pending) {
+            await db.exec('BEGIN');
+            try {
+                await migration.up(db);
+                const violations = await db.all('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    console.warn(`Migration ${migration.version} left ${violations.length} dangling references`);
+                }
+                await db.exec(`PRAGMA user_version = ${migration.version}`);
+                await db.exec('COMMIT');
+                console.log(`Migrated database to version ${migration.version} (${migration.name})`);
+            } catch (error) {
+                await db.exec('ROLLBACK');
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+            }
+        }
+    } finally {
+        await db.exec('PRAGMA foreign_keys = ON');
+    }
+    return pending[pending.length - 1].version;
+}
+
+module.exports = {
+    migrate
+};
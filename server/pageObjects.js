@@ -0,0 +1,224 @@
+// pageObjects.js - Generates Page Object classes from element collections
+const JSZip = require('jszip');
+const { HttpError } = require('./errors');
+const { normalizeElement, toIdentifier, quote, describe } = require('./exporters/utils');
+
+const LANGUAGES = {
+    ts: 'ts',
+    js: 'js'
+};
+
+const FRAMEWORKS = {
+    playwright: {
+        module: '@playwright/test',
+        locatorType: 'Locator',
+        xpathSelector: xpath => `xpath=${xpath}`,
+        actions: {
+            fill: 'fill(value)',
+            check: 'check()',
+            select: 'selectOption(value)',
+            click: 'click()'
+        }
+    },
+    puppeteer: {
+        module: 'puppeteer',
+        locatorType: 'Locator<Element>',
+        xpathSelector: xpath => `::-p-xpath(${xpath})`,
+        actions: {
+            fill: 'fill(value)',
+            check: 'click()',
+            select: 'fill(value)',
+            click: 'click()'
+        }
+    }
+};
+
+// Suffixes dropped from element names when naming convenience methods
+const NAME_SUFFIX = /(Input|Field|Textbox|TextBox|Box|Button|Btn|Link|Checkbox|Select|Dropdown)$/;
+
+// Members every generated class has; element getters that would clash with them are renamed
+const CLASS_MEMBERS = ['constructor', 'page', 'url', 'goto'];
+
+const FILL_ROLES = ['textbox', 'searchbox', 'spinbutton'];
+const CLICK_ROLES = ['button', 'link', 'menuitem', 'tab'];
+
+/**
+ * Works out which convenience method fits an element
+ * @param {Object} element Normalized element
+ * @returns {string|null} fill, check, select, click or null for read-only elements
+ */
+function inferAction(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'select' || element.role === 'combobox' || element.role === 'listbox') return 'select';
+    if (element.role === 'checkbox' || element.role === 'radio' || element.role === 'switch') return 'check';
+    if (tagName === 'textarea' || FILL_ROLES.includes(element.role)) return 'fill';
+    if (tagName === 'button' || tagName === 'a' || CLICK_ROLES.includes(element.role)) return 'click';
+    return null;
+}
+
+function toClassName(name) {
+    const identifier = toIdentifier(name, 'Page');
+    return identifier.charAt(0).toUpperCase() + identifier.slice(1);
+}
+
+// Getter name for an element whose own name is one of the class members
+function getterName(elementName, used) {
+    const base = `${elementName}Element`;
+    let name = base;
+    let counter = 2;
+    while (used.has(name)) {
+        name = `${base}${counter++}`;
+    }
+    used.add(name);
+    return name;
+}
+
+function methodName(action, elementName, used) {
+    const base = elementName.replace(NAME_SUFFIX, '') || elementName;
+    let name = `${action}${base.charAt(0).toUpperCase()}${base.slice(1)}`;
+    let counter = 2;
+    while (used.has(name)) {
+        name = `${action}${base.charAt(0).toUpperCase()}${base.slice(1)}${counter++}`;
+    }
+    used.add(name);
+    return name;
+}
+
+function selectorFor(element, framework) {
+    const preferred = element.preferredSelector;
+    if (preferred) {
+        return preferred.type === 'xpath' ? framework.xpathSelector(preferred.selector) : preferred.selector;
+    }
+    if (element.cssSelector) return element.cssSelector;
+    return framework.xpathSelector(element.xpath);
+}
+
+/**
+ * Renders one collection as a Page Object class
+ * @param {Object} collection Collection with its elements (see collections.getCollection)
+ * @param {{language?: string, framework?: string}} options
+ * @returns {{fileName: string, code: string}}
+ */
+function generatePageObject(collection, { language = 'ts', framework = 'playwright' } = {}) {
+    if (!LANGUAGES[language]) {
+        throw new HttpError(400, `Unsupported language: ${language}`);
+    }
+    if (!FRAMEWORKS[framework]) {
+        throw new HttpError(400, `Unsupported framework: ${framework}`);
+    }
+
+    const target = FRAMEWORKS[framework];
+    const typed = language === 'ts';
+    const className = toClassName(collection.name);
+    const elements = collection.elements
+        .map(entry => ({ ...normalizeElement(entry), name: entry.name }))
+        .filter(element => element.preferredSelector || element.cssSelector || element.xpath);
+    // Getters and methods share one namespace; element names are taken first so only clashes change
+    const usedMembers = new Set([...CLASS_MEMBERS, ...elements.map(element => element.name)]);
+    elements.forEach(element => {
+        if (CLASS_MEMBERS.includes(element.name)) {
+            element.name = getterName(element.name, usedMembers);
+        }
+    });
+    const url = elements.length > 0 ? elements[0].url : '';
+
+    const lines = [];
+    if (typed) {
+        lines.push(`import type { Page, ${target.locatorType.replace(/<.*>/, '')} } from '${target.module}';`, '');
+    }
+
+    const title = `${collection.name}${collection.description ? ` - ${collection.description}` : ''}`;
+    lines.push(
+        '/**',
+        ` * ${title.replace(/\s+/g, ' ').replace(/\*\//g, '*\\/')}`,
+        ' * Generated by the browser automation helper.',
+        ' */',
+        `export class ${className} {`
+    );
+
+    if (typed) {
+        lines.push(
+            `    readonly url = ${quote(url)};`,
+            '',
+            '    constructor(private readonly page: Page) {}'
+        );
+    } else {
+        lines.push(
+            '    constructor(page) {',
+            '        this.page = page;',
+            `        this.url = ${quote(url)};`,
+            '    }'
+        );
+    }
+
+    lines.push(
+        '',
+        `    async goto()${typed ? ': Promise<void>' : ''} {`,
+        '        await this.page.goto(this.url);',
+        '    }'
+    );
+
+    elements.forEach(element => {
+        lines.push(
+            '',
+            `    /** ${describe(element).replace(/\*\//g, '*\\/')} */`,
+            `    get ${element.name}()${typed ? `: ${target.locatorType}` : ''} {`,
+            `        return this.page.locator(${quote(selectorFor(element, target))});`,
+            '    }'
+        );
+
+        const action = inferAction(element);
+        if (!action) return;
+
+        const takesValue = target.actions[action].includes('value');
+        const parameter = takesValue ? (typed ? 'value: string' : 'value') : '';
+        lines.push(
+            '',
+            `    async ${methodName(action, element.name, usedMembers)}(${parameter})${typed ? ': Promise<void>' : ''} {`,
+            `        await this.${element.name}.${target.actions[action]};`,
+            '    }'
+        );
+    });
+
+    lines.push('}', '');
+
+    let code = lines.join('\n');
+    if (!typed) {
+        // Plain JavaScript output stays CommonJS like the rest of our tooling
+        code = code.replace(`export class ${className}`, `class ${className}`) +
+            `\nmodule.exports = { ${className} };\n`;
+    }
+
+    return {
+        fileName: `${className}.${language}`,
+        code
+    };
+}
+
+/**
+ * Bundles several page objects into one zip archive
+ * @param {Object[]} collections
+ * @param {Object} options Same as generatePageObject
+ * @returns {Promise<Buffer>}
+ */
+async function generatePageObjectZip(collections, options) {
+    const zip = new JSZip();
+    const usedNames = new Set();
+    collections.forEach(collection => {
+        const { fileName, code } = generatePageObject(collection, options);
+        // Collections whose names collapse to the same class still get their own file
+        let uniqueFileName = fileName;
+        for (let counter = 2; usedNames.has(uniqueFileName); counter++) {
+            uniqueFileName = fileName.replace(/(\.\w+)$/, `${counter}$1`);
+        }
+        usedNames.add(uniqueFileName);
+        zip.file(uniqueFileName, code);
+    });
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    generatePageObject,
+    generatePageObjectZip,
+    inferAction
+};
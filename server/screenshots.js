@@ -0,0 +1,79 @@
+// screenshots.js - Element and context screenshots taken by the extension on capture
+const { HttpError } = require('./errors');
+
+// element: the element cropped out of the tab, context: the surroundings with the element outlined
+const KINDS = ['element', 'context'];
+const MIME_TYPES = ['image/png', 'image/jpeg'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Decodes one screenshot from the extension, null when it is not a usable image
+function decodeScreenshot(screenshot) {
+    if (!screenshot || !MIME_TYPES.includes(screenshot.mimeType) || typeof screenshot.data !== 'string') {
+        return null;
+    }
+    const data = Buffer.from(screenshot.data, 'base64');
+    if (data.length === 0 || data.length > MAX_IMAGE_BYTES) {
+        return null;
+    }
+    return {
+        mimeType: screenshot.mimeType,
+        width: Number.isInteger(screenshot.width) ? screenshot.width : 0,
+        height: Number.isInteger(screenshot.height) ? screenshot.height : 0,
+        data
+    };
+}
+
+/**
+ * Stores the screenshots sent along with a capture, skipping any that are malformed
+ * @param {Object} db
+ * @param {number} elementId
+ * @param {{element?: Object, context?: Object}} screenshots Base64 images by kind
+ * @returns {Promise<string[]>} The kinds stored
+ */
+async function saveScreenshots(db, elementId, screenshots) {
+    const stored = [];
+    for (const kind of KINDS) {
+        const image = decodeScreenshot(screenshots && screenshots[kind]);
+        if (!image) continue;
+
+        await db.run(`
+            INSERT OR REPLACE INTO capture_screenshots (captureId, kind, mimeType, width, height, data)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [elementId, kind, image.mimeType, image.width, image.height, image.data]);
+        stored.push(kind);
+    }
+    return stored;
+}
+
+async function listScreenshots(db, elementId) {
+    const element = await db.get('SELECT id FROM captures WHERE id = ?', [elementId]);
+    if (!element) {
+        throw new HttpError(404, `Element ${elementId} not found`);
+    }
+    return db.all(`
+        SELECT kind, mimeType, width, height, length(data) AS size, createdAt
+        FROM capture_screenshots
+        WHERE captureId = ?
+        ORDER BY kind DESC
+    `, [elementId]);
+}
+
+async function getScreenshot(db, elementId, kind) {
+    if (!KINDS.includes(kind)) {
+        throw new HttpError(400, `Unknown screenshot kind: ${kind}, expected one of: ${KINDS.join(', ')}`);
+    }
+    const screenshot = await db.get(
+        'SELECT mimeType, data FROM capture_screenshots WHERE captureId = ? AND kind = ?',
+        [elementId, kind]
+    );
+    if (!screenshot) {
+        throw new HttpError(404, `Element ${elementId} has no ${kind} screenshot`);
+    }
+    return screenshot;
+}
+
+module.exports = {
+    saveScreenshots,
+    listScreenshots,
+    getScreenshot
+};
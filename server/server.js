@@ -6,130 +6,224 @@ const path = require('path');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
+const exporters = require('./exporters');
+const { normalizeElement, toIdentifier, parseJson } = require('./exporters/utils');
+const { CommandBroker } = require('./commands');
+const { ClientRegistry } = require('./clients');
+const collections = require('./collections');
+const { generatePageObject, generatePageObjectZip } = require('./pageObjects');
+const healthChecks = require('./healthChecks');
+const flows = require('./flows');
+const captureGroups = require('./captureGroups');
+const extractionSchemas = require('./extractionSchemas');
+const datasets = require('./datasets');
+const fillRecipes = require('./fillRecipes');
+const history = require('./history');
+const migrations = require('./migrations');
+const screenshots = require('./screenshots');
+const snapshots = require('./snapshots');
+const sync = require('./sync');
+const config = require('./config');
+const { Pairing, UNAUTHORIZED_CLOSE_CODE } = require('./auth');
+const elementStore = require('./elements');
+const { HttpError } = require('./errors');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
 // Database setup
+const DATABASE_FILE = 'elements.db';
 let db;
 
 async function initializeDatabase() {
     db = await open({
-        filename: 'elements.db',
+        filename: DATABASE_FILE,
         driver: sqlite3.Database
     });
 
-    // Create table if it doesn't exist
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS elements (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            tagName TEXT,
-            elementId TEXT,
-            className TEXT,
-            url TEXT,
-            xpath TEXT,
-            cssSelector TEXT,
-            attributes TEXT,
-            elementText TEXT,
-            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-            fullData TEXT
-        )
-    `);
+    await migrations.migrate(db, DATABASE_FILE);
 }
 
 // Initialize database
 initializeDatabase().catch(console.error);
 
+// Extensions and scripts present the pairing token; only the configured pages may call from a browser
+const pairing = new Pairing(config.auth);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: config.auth.allowedOrigins }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', pairing.middleware());
+
+// Connected extensions and dashboards by client id
+const clients = new ClientRegistry();
+const commandBroker = new CommandBroker();
 
-// Store connected clients
-const clients = new Set();
-let lastSelectedElement = null;
+const RECORDING_ACTIONS = ['recordingStarted', 'recordingStep', 'recordingStopped'];
+// Ids of queued extension messages already handled, so one resent after a lost acknowledgement is stored once
+const handledMessages = new Set();
+// Ids of queued messages still being handled; a copy resent meanwhile waits for the extension's next retry
+const messagesInFlight = new Set();
+const MAX_HANDLED_MESSAGES = 1000;
 
 // Database operations
-async function saveElement(elementData) {
-    try {
-        const result = await db.run(`
-            INSERT INTO elements (
-                tagName, elementId, className, url, xpath, 
-                cssSelector, attributes, elementText, fullData
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            elementData.tagName,
-            elementData.id || '',
-            elementData.className || '',
-            elementData.url || '',
-            elementData.xpath || '',
-            elementData.cssSelector || '',
-            JSON.stringify(elementData.attributes || {}),
-            elementData.text || '',
-            JSON.stringify(elementData)
-        ]);
-        return result.lastID;
+async function saveElement({ screenshots: images, snapshot, ...elementData }) {
+    try {
+        // Images and markup are stored on their own rather than inside the payload
+        const id = await elementStore.createElement(db, elementData);
+        if (images) {
+            await screenshots.saveScreenshots(db, id, images);
+        }
+        if (snapshot) {
+            await snapshots.saveSnapshot(db, id, snapshot);
+        }
+
+        if (elementData.extractionSchema) {
+            await saveExtractionSchema(id, elementData);
+        }
+        await publishChange('created', id);
+        return id;
     } catch (error) {
         console.error('Error saving element:', error);
         return null;
     }
 }
 
-async function getRecentElements(limit = 10) {
+async function saveExtractionSchema(elementId, elementData) {
     try {
-        return await db.all(`
-            SELECT * FROM elements 
-            ORDER BY timestamp DESC 
-            LIMIT ?
-        `, [limit]);
+        await extractionSchemas.createSchema(db, elementId, elementData.url, elementData.extractionSchema);
     } catch (error) {
-        console.error('Error getting recent elements:', error);
-        return [];
+        console.error('Error saving extraction schema:', error);
     }
 }
 
-// WebSocket connection handling
-wss.on('connection', async (ws) => {
-    console.log('New client connected');
-    clients.add(ws);
+// Saves a multi-select batch as one group, keeping the selection order. All or nothing: when an
+// element fails the rest is removed again, so the batch can be sent again without duplicates
+async function saveCaptureGroup({ elements = [], ...group }) {
+    try {
+        const groupId = await captureGroups.createGroup(db, group, elements.length);
+        const ids = [];
+        for (const [groupPosition, element] of elements.entries()) {
+            const id = await saveElement({ ...element, groupId, groupPosition });
+            if (!id) {
+                if (ids.length > 0) {
+                    await elementStore.deleteElements(db, ids);
+                    for (const savedId of ids) {
+                        await publishChange('deleted', savedId);
+                    }
+                }
+                await captureGroups.deleteGroup(db, groupId);
+                return null;
+            }
+            ids.push(id);
+        }
+        return groupId;
+    } catch (error) {
+        console.error('Error saving capture group:', error);
+        return null;
+    }
+}
 
-    // Send recent elements to new client
+async function getElementsByIds(ids) {
     try {
-        const recentElements = await getRecentElements();
-        ws.send(JSON.stringify({
-            type: 'initialHistory',
-            data: recentElements
-        }));
+        const placeholders = ids.map(() => '?').join(', ');
+        const rows = await db.all(`
+            SELECT * FROM elements
+            WHERE id IN (${placeholders})
+        `, ids);
+        // Keep the order the caller asked for
+        return ids
+            .map(id => rows.find(row => row.id === id))
+            .filter(Boolean);
     } catch (error) {
-        console.error('Error sending initial history:', error);
+        console.error('Error getting elements by id:', error);
+        return [];
     }
+}
+
+// WebSocket connection handling
+wss.on('connection', async (ws, req) => {
+    // Turned away with a close code rather than a failed handshake, so the extension can tell the user why
+    ws.authenticatedBy = pairing.authenticate(req);
+    if (!ws.authenticatedBy) {
+        console.warn('Rejected WebSocket without a valid pairing token from', req.headers.origin || req.socket.remoteAddress);
+        ws.close(UNAUTHORIZED_CLOSE_CODE, 'Invalid pairing token');
+        return;
+    }
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+        clients.touch(ws);
+    });
+
+    const client = clients.add(ws, req);
+    console.log(client.role === 'dashboard' ? 'Dashboard connected:' : 'New client connected:', ws.clientId);
 
     ws.on('message', async (message) => {
         try {
             const data = JSON.parse(message);
-            console.log('Received message:', data.action);
+            if (data.action !== 'ping') {
+                console.log('Received message:', data.action);
+            }
+
+            ws.isAlive = true;
+            clients.touch(ws);
+
+            if (data.messageId) {
+                if (handledMessages.has(data.messageId)) {
+                    acknowledge(ws, data.messageId);
+                    return;
+                }
+                if (messagesInFlight.has(data.messageId)) {
+                    return;
+                }
+                messagesInFlight.add(data.messageId);
+            }
+
+            if (data.action === 'ping') {
+                // The extension's own heartbeat, browsers cannot send protocol pings
+                ws.send(JSON.stringify({ type: 'pong', data: { timestamp: data.data && data.data.timestamp } }));
+            } else if (data.action === 'hello') {
+                const entry = clients.identify(ws, data.data);
+                if (entry) {
+                    console.log(`Client ${ws.clientId} is ${entry.role}${entry.label ? ` "${entry.label}"` : ''}`);
+                    broadcastClients();
+                }
+            } else if (data.action === 'tabsChanged') {
+                clients.updateTabs(ws, data.data && data.data.tabs);
+                broadcastClients();
+            } else if (data.action === 'elementSelected') {
+                const element = data.data;
 
-            if (data.action === 'elementSelected') {
-                lastSelectedElement = data.data;
-                
                 // Save to database
-                await saveElement(lastSelectedElement);
-                
-                // Get updated history
-                const recentElements = await getRecentElements();
-                
-                // Broadcast to all clients
-                const broadcastMessage = JSON.stringify({
-                    type: 'historyUpdate',
-                    data: recentElements
-                });
-
-                wss.clients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(broadcastMessage);
-                    }
-                });
+                if (await saveElement(element)) {
+                    acknowledge(ws, data.messageId);
+                } else {
+                    reject(ws, data.messageId, 'Could not store the element');
+                }
+            } else if (data.action === 'elementsSelected') {
+                if (await saveCaptureGroup(data.data)) {
+                    acknowledge(ws, data.messageId);
+                } else {
+                    reject(ws, data.messageId, 'Could not store the captured elements');
+                }
+            } else if (RECORDING_ACTIONS.includes(data.action)) {
+                // Steps arrive in quick succession, store them one after another to keep their order
+                ws.recordingQueue = (ws.recordingQueue || Promise.resolve())
+                    .then(() => handleRecordingMessage(data))
+                    .then(() => acknowledge(ws, data.messageId))
+                    .catch(error => {
+                        console.error('Error recording flow step:', error);
+                        // Sending it again would fail the same way
+                        acknowledge(ws, data.messageId, error.message);
+                    });
+            } else if (data.action === 'commandResult') {
+                if (!commandBroker.handleResult(data.data, ws)) {
+                    console.warn('Received result for unknown command:', data.data && data.data.id);
+                }
             }
         } catch (error) {
             console.error('Error processing message:', error);
@@ -137,19 +231,708 @@ wss.on('connection', async (ws) => {
     });
 
     ws.on('close', () => {
-        console.log('Client disconnected');
-        clients.delete(ws);
+        console.log('Client disconnected:', ws.clientId);
+        if (clients.remove(ws)) {
+            broadcastClients();
+        }
+        commandBroker.rejectClient(ws);
     });
+
+    // Listeners are in place before this first await, messages sent right after connecting are not lost
+    await syncClient(ws, new URL(req.url, 'http://localhost').searchParams.get('since'));
 });
 
+/**
+ * Brings a new connection up to date: with ?since=<sequence> it gets the changes it missed, then a
+ * synced message with the sequence it is at. resync there means it was too far behind and has to reload.
+ * Changes published meanwhile are held back and sent after, so none arrive out of order.
+ * @param {WebSocket} ws
+ * @param {string|null} since
+ */
+async function syncClient(ws, since) {
+    ws.syncBuffer = [];
+    try {
+        const result = since === null
+            ? { sequence: await sync.latestSequence(db), resync: false, messages: [] }
+            : await sync.changesSince(db, Number(since));
+        result.messages.forEach(message => ws.send(JSON.stringify(message)));
+        ws.send(JSON.stringify({ type: 'synced', sequence: result.sequence, resync: result.resync }));
+        ws.syncBuffer = ws.syncBuffer.filter(message => message.sequence > result.sequence);
+    } catch (error) {
+        console.error('Error syncing client:', error);
+    }
+    const held = ws.syncBuffer;
+    delete ws.syncBuffer;
+    if (ws.readyState === WebSocket.OPEN) {
+        held.forEach(message => ws.send(JSON.stringify(message)));
+    }
+}
+
+// Pings every socket and drops those that missed the previous round, so a browser that vanished
+// without closing its connection leaves the client list
+const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            console.log('Dropping unresponsive client:', ws.clientId);
+            ws.terminate();
+            return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, config.heartbeatInterval);
+wss.on('close', () => clearInterval(heartbeat));
+
+// Confirms a queued message so the extension drops it from its queue; unqueued messages have no id
+function acknowledge(ws, messageId, error) {
+    if (!messageId) return;
+    messagesInFlight.delete(messageId);
+    handledMessages.add(messageId);
+    if (handledMessages.size > MAX_HANDLED_MESSAGES) {
+        handledMessages.delete(handledMessages.values().next().value);
+    }
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'ack', messageId, error }));
+    }
+}
+
+// Tells the extension a queued message was not handled, it keeps the message and sends it again later
+function reject(ws, messageId, error) {
+    messagesInFlight.delete(messageId);
+    if (messageId && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'nack', messageId, error }));
+    }
+}
+
+// Sends a message to every connected extension and dashboard, or only to those of one role
+function broadcast(message, role) {
+    const broadcastMessage = JSON.stringify(message);
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && (!role || clients.roleOf(client) === role)) {
+            client.send(broadcastMessage);
+        }
+    });
+}
+
+// Dashboards list the connected browsers and their tabs
+function broadcastClients() {
+    broadcast({ type: 'clientsUpdated', data: clients.list({ role: 'extension' }) }, 'dashboard');
+}
+
+/**
+ * Logs an element change and sends just that element, with its sequence number, to every client
+ * @param {'created'|'updated'|'deleted'} type
+ * @param {number} elementId
+ */
+async function publishChange(type, elementId) {
+    try {
+        const [element] = type === 'deleted' ? [{ id: elementId }] : await getElementsByIds([elementId]);
+        if (!element) return;
+        const message = sync.changeMessage(type, await sync.recordChange(db, type, elementId), element);
+        const text = JSON.stringify(message);
+        wss.clients.forEach(client => {
+            if (client.syncBuffer) {
+                client.syncBuffer.push(message);
+            } else if (client.readyState === WebSocket.OPEN) {
+                client.send(text);
+            }
+        });
+    } catch (error) {
+        console.error('Error publishing element change:', error);
+    }
+}
+
+// Recorder messages from the extension: a session opens a flow, streams steps, then closes it
+async function handleRecordingMessage({ action, data }) {
+    if (action === 'recordingStarted') {
+        await flows.startFlow(db, data);
+    } else if (action === 'recordingStep') {
+        await flows.addStep(db, data.recordingId, data.step);
+    } else if (action === 'recordingStopped') {
+        await flows.finishFlow(db, data.recordingId);
+    }
+}
+
+// Sends HttpErrors as-is and hides anything unexpected behind a 500
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// Parses a numeric route parameter, throwing a 400 for anything else
+function parseId(value, label = 'id') {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new HttpError(400, `Invalid ${label}: ${value}`);
+    }
+    return id;
+}
+
 // REST endpoints
+// The token to enter in the extension popup; without a token only the dashboard on this machine gets it
+app.get('/api/pairing', (req, res) => {
+    res.json({ token: pairing.token });
+});
+
+// Issues a new token and drops the sockets paired with the old one
+app.post('/api/pairing/rotate', (req, res) => {
+    try {
+        const token = pairing.rotate();
+        wss.clients.forEach(client => {
+            if (client.authenticatedBy === 'token') {
+                client.close(UNAUTHORIZED_CLOSE_CODE, 'Pairing token changed');
+            }
+        });
+        res.json({ token });
+    } catch (error) {
+        sendError(res, error, 'Failed to change pairing token');
+    }
+});
+
+// Responds with the matching elements; the total and the cursor of the next page travel in headers
 app.get('/api/history', async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
-        const elements = await getRecentElements(limit);
-        res.json(elements);
+        const { collectionId, ...query } = req.query;
+        const result = await history.searchHistory(db, {
+            ...query,
+            collectionId: collectionId ? parseId(collectionId, 'collectionId') : undefined
+        });
+
+        res.set('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
+        res.set('X-Total-Count', String(result.total));
+        if (result.nextCursor) {
+            res.set('X-Next-Cursor', result.nextCursor);
+        }
+        res.json(result.elements);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch history');
+    }
+});
+
+app.get('/api/exporters', (req, res) => {
+    res.json(exporters.listExporters());
+});
+
+app.post('/api/export', async (req, res) => {
+    const { format, ids } = req.body || {};
+    const exporter = exporters.getExporter(format);
+    if (!exporter) {
+        return res.status(400).json({ error: `Unknown export format: ${format}` });
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'ids must be a non-empty array of element ids' });
+    }
+
+    try {
+        const elements = await getElementsByIds(ids);
+        if (elements.length === 0) {
+            return res.status(404).json({ error: 'No elements found for the given ids' });
+        }
+
+        res.json({
+            format: exporter.name,
+            fileName: `${exporter.name}-script.${exporter.fileExtension}`,
+            code: exporter.generate(elements.map(normalizeElement))
+        });
+    } catch (error) {
+        console.error('Error exporting elements:', error);
+        res.status(500).json({ error: 'Failed to export elements' });
+    }
+});
+
+// Runs a command on the chosen extension and tab and returns its result, failing on page errors
+async function runCommand(target, command, timeout) {
+    const { ws, tabId } = clients.resolveTarget(target);
+    const reply = await commandBroker.send(ws, command, timeout, tabId);
+    if (!reply.success) {
+        const reason = reply.error ? reply.error.message : 'unknown error';
+        throw new HttpError(502, `${command.name} failed in the page: ${reason}`);
+    }
+    return reply.result;
+}
+
+// Connected browsers with their tabs; ?role=extension or ?role=dashboard narrows the list
+app.get('/api/clients', (req, res) => {
+    res.json(clients.list({ role: typeof req.query.role === 'string' ? req.query.role : undefined }));
+});
+
+// Body: { clientId?, tabId?, command, timeout? }; the extension's active tab is used without tabId
+app.post('/api/commands', async (req, res) => {
+    const { clientId, tabId, command, timeout } = req.body || {};
+    if (!command || typeof command.name !== 'string') {
+        return res.status(400).json({ error: 'command.name is required' });
+    }
+
+    try {
+        const target = clients.resolveTarget({ clientId, tabId });
+        const reply = await commandBroker.send(target.ws, command, timeout, target.tabId);
+        res.json({
+            id: reply.id,
+            clientId: target.clientId,
+            tabId: reply.tabId,
+            success: reply.success,
+            result: reply.result,
+            error: reply.error
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to execute command');
+    }
+});
+
+// Single elements: read, annotate (name, notes, tags, preferred selector) and delete
+app.get('/api/elements/:id', async (req, res) => {
+    try {
+        res.json(await elementStore.getElement(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch element');
+    }
+});
+
+app.patch('/api/elements/:id', async (req, res) => {
+    try {
+        const element = await elementStore.updateElement(db, parseId(req.params.id), req.body || {});
+        await publishChange('updated', element.id);
+        res.json(element);
+    } catch (error) {
+        sendError(res, error, 'Failed to update element');
+    }
+});
+
+app.delete('/api/elements/:id', async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        await elementStore.deleteElement(db, id);
+        await publishChange('deleted', id);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Failed to delete element');
+    }
+});
+
+app.get('/api/elements/:id/screenshots', async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        const list = await screenshots.listScreenshots(db, id);
+        res.json(list.map(screenshot => ({ ...screenshot, url: `/api/elements/${id}/screenshots/${screenshot.kind}` })));
+    } catch (error) {
+        sendError(res, error, 'Failed to list screenshots');
+    }
+});
+
+// The image itself; kind is element or context
+app.get('/api/elements/:id/screenshots/:kind', async (req, res) => {
+    try {
+        const screenshot = await screenshots.getScreenshot(db, parseId(req.params.id), req.params.kind);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(screenshot.mimeType).send(screenshot.data);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch screenshot');
+    }
+});
+
+app.get('/api/elements/:id/snapshot', async (req, res) => {
+    try {
+        res.json(await snapshots.getSnapshot(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch snapshot');
+    }
+});
+
+// ?against=<id> picks the capture to compare with, by default the latest other one of the same page
+app.get('/api/elements/:id/snapshot/diff', async (req, res) => {
+    try {
+        const against = req.query.against === undefined ? undefined : parseId(req.query.against, 'against');
+        res.json(await snapshots.diffSnapshots(db, parseId(req.params.id), against));
+    } catch (error) {
+        sendError(res, error, 'Failed to diff snapshots');
+    }
+});
+
+// Bulk delete, body: { ids: [...] }
+app.delete('/api/elements', async (req, res) => {
+    try {
+        const result = await elementStore.deleteElements(db, (req.body || {}).ids);
+        for (const id of result.deleted) {
+            await publishChange('deleted', id);
+        }
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to delete elements');
+    }
+});
+
+// Self-healing lookup: find a stored element again from its fingerprint
+app.post('/api/elements/:id/heal', async (req, res) => {
+    const { clientId, tabId, timeout, minConfidence } = req.body || {};
+    try {
+        const id = parseId(req.params.id);
+        const [element] = await getElementsByIds([id]);
+        if (!element) {
+            throw new HttpError(404, `Element ${id} not found`);
+        }
+        if (!element.fingerprint) {
+            throw new HttpError(400, `Element ${id} was captured without a fingerprint`);
+        }
+
+        const chain = JSON.parse(element.selectorChain || '[]');
+        const result = await runCommand({ clientId, tabId }, {
+            name: 'heal',
+            selector: element.cssSelector || element.xpath,
+            selectorType: element.cssSelector ? 'css' : 'xpath',
+            // Elements inside frames or shadow roots can only be reached through their chain
+            chain: chain.length > 1 ? chain : undefined,
+            fingerprint: JSON.parse(element.fingerprint),
+            minConfidence
+        }, timeout);
+        res.json({ elementId: id, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to heal element');
+    }
+});
+
+// Fill recipe for an element captured on a form: JSON steps, or a script with ?format=puppeteer
+app.get('/api/elements/:id/fill-recipe', async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        const [element] = await getElementsByIds([id]);
+        if (!element) {
+            throw new HttpError(404, `Element ${id} not found`);
+        }
+        const { formAnalysis } = parseJson(element.fullData, {});
+        if (!formAnalysis) {
+            throw new HttpError(400, `Element ${id} was not captured on a form`);
+        }
+
+        const recipe = fillRecipes.buildFillRecipe(formAnalysis, element.url);
+        const format = req.query.format || 'json';
+        if (format === 'json') {
+            return res.json(recipe);
+        }
+
+        const exporter = exporters.getExporter(format);
+        if (!exporter || !exporter.generateFillRecipe) {
+            throw new HttpError(400, `Unknown fill recipe format: ${format}`);
+        }
+        res.json({
+            format: exporter.name,
+            fileName: `${toIdentifier(recipe.name, 'form')}Fill.${exporter.fileExtension}`,
+            code: exporter.generateFillRecipe(recipe)
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to build fill recipe');
+    }
+});
+
+// Selector health checks
+app.post('/api/health-checks', async (req, res) => {
+    const { clientId, tabId, url, timeout } = req.body || {};
+    try {
+        const report = await healthChecks.runHealthCheck(
+            db,
+            command => runCommand({ clientId, tabId }, command, timeout),
+            { url }
+        );
+        res.json(report);
+    } catch (error) {
+        sendError(res, error, 'Failed to run health check');
+    }
+});
+
+app.get('/api/health-checks', async (req, res) => {
+    try {
+        res.json(await healthChecks.getLatestChecks(db, { url: req.query.url }));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch health checks');
+    }
+});
+
+// Element collections
+app.get('/api/collections', async (req, res) => {
+    try {
+        res.json(await collections.listCollections(db));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch collections');
+    }
+});
+
+app.post('/api/collections', async (req, res) => {
+    try {
+        res.status(201).json(await collections.createCollection(db, req.body || {}));
+    } catch (error) {
+        sendError(res, error, 'Failed to create collection');
+    }
+});
+
+app.get('/api/collections/:id', async (req, res) => {
+    try {
+        res.json(await collections.getCollection(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch collection');
+    }
+});
+
+app.patch('/api/collections/:id', async (req, res) => {
+    try {
+        res.json(await collections.updateCollection(db, parseId(req.params.id), req.body || {}));
+    } catch (error) {
+        sendError(res, error, 'Failed to update collection');
+    }
+});
+
+app.delete('/api/collections/:id', async (req, res) => {
+    try {
+        await collections.deleteCollection(db, parseId(req.params.id));
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Failed to delete collection');
+    }
+});
+
+app.post('/api/collections/:id/elements', async (req, res) => {
+    try {
+        const collection = await collections.addElement(db, parseId(req.params.id), req.body || {});
+        res.status(201).json(collection);
+    } catch (error) {
+        sendError(res, error, 'Failed to add element to collection');
+    }
+});
+
+app.patch('/api/collections/:id/elements/:entryId', async (req, res) => {
+    try {
+        res.json(await collections.updateElement(
+            db,
+            parseId(req.params.id),
+            parseId(req.params.entryId, 'entryId'),
+            req.body || {}
+        ));
+    } catch (error) {
+        sendError(res, error, 'Failed to update collection element');
+    }
+});
+
+app.delete('/api/collections/:id/elements/:entryId', async (req, res) => {
+    try {
+        res.json(await collections.removeElement(
+            db,
+            parseId(req.params.id),
+            parseId(req.params.entryId, 'entryId')
+        ));
+    } catch (error) {
+        sendError(res, error, 'Failed to remove collection element');
+    }
+});
+
+app.put('/api/collections/:id/order', async (req, res) => {
+    try {
+        const { entryIds } = req.body || {};
+        res.json(await collections.reorderElements(db, parseId(req.params.id), entryIds));
+    } catch (error) {
+        sendError(res, error, 'Failed to reorder collection');
+    }
+});
+
+// Page Object generation
+app.get('/api/collections/:id/page-object', async (req, res) => {
+    try {
+        const collection = await collections.getCollection(db, parseId(req.params.id));
+        const { fileName, code } = generatePageObject(collection, req.query);
+        res.attachment(fileName).type('text/plain').send(code);
+    } catch (error) {
+        sendError(res, error, 'Failed to generate page object');
+    }
+});
+
+app.get('/api/page-objects', async (req, res) => {
+    try {
+        const ids = req.query.ids
+            ? String(req.query.ids).split(',').map(id => parseId(id))
+            : (await collections.listCollections(db)).map(collection => collection.id);
+        if (ids.length === 0) {
+            throw new HttpError(404, 'No collections to generate');
+        }
+
+        const selected = [];
+        for (const id of ids) {
+            selected.push(await collections.getCollection(db, id));
+        }
+        const archive = await generatePageObjectZip(selected, req.query);
+        res.attachment('page-objects.zip').type('application/zip').send(archive);
+    } catch (error) {
+        sendError(res, error, 'Failed to generate page objects');
+    }
+});
+
+// Extraction schemas
+app.get('/api/schemas', async (req, res) => {
+    try {
+        res.json(await extractionSchemas.listSchemas(db));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch extraction schemas');
+    }
+});
+
+app.get('/api/schemas/:id', async (req, res) => {
+    try {
+        res.json(await extractionSchemas.getSchema(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch extraction schema');
+    }
+});
+
+app.patch('/api/schemas/:id', async (req, res) => {
+    try {
+        res.json(await extractionSchemas.updateSchema(db, parseId(req.params.id), req.body || {}));
+    } catch (error) {
+        sendError(res, error, 'Failed to update extraction schema');
+    }
+});
+
+app.delete('/api/schemas/:id', async (req, res) => {
+    try {
+        await extractionSchemas.deleteSchema(db, parseId(req.params.id));
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Failed to delete extraction schema');
+    }
+});
+
+// Scraping jobs and their dataset snapshots
+function sendDataset(res, dataset, format) {
+    if (format === 'csv') {
+        res.attachment(`dataset-${dataset.id}.csv`).type('text/csv').send(datasets.toCsv(dataset));
+    } else if (format && format !== 'json') {
+        throw new HttpError(400, `Unknown dataset format: ${format}`);
+    } else {
+        res.json(dataset);
+    }
+}
+
+app.post('/api/scrape', async (req, res) => {
+    const { clientId, tabId, definition, schemaId, timeout } = req.body || {};
+    try {
+        if (req.query.format && !['json', 'csv'].includes(req.query.format)) {
+            throw new HttpError(400, `Unknown dataset format: ${req.query.format}`);
+        }
+        const dataset = await datasets.runScrape(
+            db,
+            (command, commandTimeout) => runCommand({ clientId, tabId }, command, commandTimeout),
+            {
+                definition,
+                schemaId: schemaId === undefined ? undefined : parseId(schemaId, 'schemaId'),
+                pageTimeout: timeout
+            }
+        );
+        sendDataset(res, dataset, req.query.format);
+    } catch (error) {
+        sendError(res, error, 'Failed to run scraping job');
+    }
+});
+
+app.get('/api/datasets', async (req, res) => {
+    try {
+        res.json(await datasets.listDatasets(db, {
+            url: req.query.url,
+            schemaId: req.query.schemaId ? parseId(req.query.schemaId, 'schemaId') : undefined
+        }));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch datasets');
+    }
+});
+
+app.get('/api/datasets/:id', async (req, res) => {
+    try {
+        sendDataset(res, await datasets.getDataset(db, parseId(req.params.id)), req.query.format);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch dataset');
+    }
+});
+
+app.get('/api/datasets/:id/compare/:otherId', async (req, res) => {
+    try {
+        res.json(await datasets.compareDatasets(db, parseId(req.params.id), parseId(req.params.otherId)));
+    } catch (error) {
+        sendError(res, error, 'Failed to compare datasets');
+    }
+});
+
+app.delete('/api/datasets/:id', async (req, res) => {
+    try {
+        await datasets.deleteDataset(db, parseId(req.params.id));
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Failed to delete dataset');
+    }
+});
+
+// Multi-select capture groups
+app.get('/api/capture-groups', async (req, res) => {
+    try {
+        res.json(await captureGroups.listGroups(db));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch capture groups');
+    }
+});
+
+app.get('/api/capture-groups/:id', async (req, res) => {
+    try {
+        res.json(await captureGroups.getGroup(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch capture group');
+    }
+});
+
+// Recorded flows
+app.get('/api/flows', async (req, res) => {
+    try {
+        res.json(await flows.listFlows(db));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch flows');
+    }
+});
+
+app.get('/api/flows/:id', async (req, res) => {
+    try {
+        res.json(await flows.getFlow(db, parseId(req.params.id)));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch flow');
+    }
+});
+
+app.patch('/api/flows/:id', async (req, res) => {
+    try {
+        res.json(await flows.renameFlow(db, parseId(req.params.id), req.body || {}));
+    } catch (error) {
+        sendError(res, error, 'Failed to update flow');
+    }
+});
+
+app.delete('/api/flows/:id', async (req, res) => {
+    try {
+        await flows.deleteFlow(db, parseId(req.params.id));
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Failed to delete flow');
+    }
+});
+
+app.get('/api/flows/:id/export', async (req, res) => {
+    try {
+        const exporter = exporters.getExporter(req.query.format || 'playwright');
+        if (!exporter || !exporter.generateFlow) {
+            throw new HttpError(400, `Unknown flow export format: ${req.query.format}`);
+        }
+
+        const flow = await flows.getFlow(db, parseId(req.params.id));
+        res.json({
+            format: exporter.name,
+            fileName: `${toIdentifier(flow.name, 'flow')}.${exporter.fileExtension}`,
+            code: exporter.generateFlow({ name: flow.name, steps: flow.steps.map(flows.normalizeStep) })
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch history' });
+        sendError(res, error, 'Failed to export flow');
     }
 });
 
@@ -158,7 +941,8 @@ app.post('/api/connect', (req, res) => {
     res.json({ success: true });
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Pairing token: ${pairing.token} (enter it in the extension popup)`);
 });
\ No newline at end of file
@@ -0,0 +1,313 @@
+// snapshots.js - Sanitized DOM snapshots stored with each capture, and diffs between them
+const zlib = require('zlib');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+const MAX_ANCESTORS = 256;
+// Unchanged lines shown around each change of a diff
+const DIFF_CONTEXT = 3;
+// Regions that differ by more edits than this are reported as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+function encode(text, settings) {
+    const buffer = Buffer.from(text);
+    return settings.compression === 'gzip' ? zlib.gzipSync(buffer, { level: settings.compressionLevel }) : buffer;
+}
+
+function decode(data, encoding) {
+    if (data === null) return null;
+    return (encoding === 'gzip' ? zlib.gunzipSync(data) : data).toString();
+}
+
+// Cuts text down to maxBytes of UTF-8, dropping a character split in half
+function truncateBytes(text, maxBytes) {
+    const buffer = Buffer.from(text);
+    if (buffer.length <= maxBytes) {
+        return { text, size: buffer.length, truncated: false };
+    }
+    return {
+        text: buffer.subarray(0, maxBytes).toString().replace(/\uFFFD$/, ''),
+        size: buffer.length,
+        truncated: true
+    };
+}
+
+function normalizeAncestor(ancestor) {
+    const attributes = ancestor.attributes && typeof ancestor.attributes === 'object' ? ancestor.attributes : {};
+    return {
+        tagName: String(ancestor.tagName).toLowerCase(),
+        // Inline handlers are dropped whatever the sender already stripped
+        attributes: Object.fromEntries(Object.entries(attributes)
+            .filter(([name]) => !/^on/i.test(name))
+            .map(([name, value]) => [name, String(value)])),
+        index: Number.isInteger(ancestor.index) ? ancestor.index : null,
+        shadowHost: Boolean(ancestor.shadowHost)
+    };
+}
+
+/**
+ * Stores the snapshot sent along with a capture. Element markup over the size limit is cut off,
+ * a page over the limit is left out with only its size recorded.
+ * @param {Object} db
+ * @param {number} elementId
+ * @param {{element: string, ancestors?: Object[], document?: string}} snapshot
+ * @param {Object} [settings] config.snapshots
+ * @returns {Promise<boolean>} Whether the snapshot was usable
+ */
+async function saveSnapshot(db, elementId, snapshot, settings = config.snapshots) {
+    if (!snapshot || typeof snapshot.element !== 'string') {
+        return false;
+    }
+
+    const element = truncateBytes(snapshot.element, settings.maxElementBytes);
+    const ancestors = (Array.isArray(snapshot.ancestors) ? snapshot.ancestors : [])
+        .filter(ancestor => ancestor && typeof ancestor.tagName === 'string')
+        .slice(0, MAX_ANCESTORS)
+        .map(normalizeAncestor);
+
+    let documentHtml = null;
+    let documentSize = null;
+    if (typeof snapshot.document === 'string') {
+        documentSize = Buffer.byteLength(snapshot.document);
+        if (documentSize <= settings.maxDocumentBytes) {
+            documentHtml = encode(snapshot.document, settings);
+        }
+    }
+
+    await db.run(`
+        INSERT OR REPLACE INTO capture_snapshots (
+            captureId, encoding, elementHtml, elementSize, elementTruncated, ancestors, documentHtml, documentSize
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        elementId,
+        settings.compression === 'gzip' ? 'gzip' : 'identity',
+        encode(element.text, settings),
+        element.size,
+        element.truncated ? 1 : 0,
+        JSON.stringify(ancestors),
+        documentHtml,
+        documentSize
+    ]);
+    return true;
+}
+
+/**
+ * The snapshot of a capture, decompressed
+ * @param {Object} db
+ * @param {number} elementId
+ * @returns {Promise<Object>}
+ */
+async function getSnapshot(db, elementId) {
+    const row = await db.get(`
+        SELECT s.*, e.url, e.timestamp
+        FROM capture_snapshots s
+        JOIN elements e ON e.id = s.captureId
+        WHERE s.captureId = ?
+    `, [elementId]);
+
+    if (!row) {
+        const element = await db.get('SELECT id FROM captures WHERE id = ?', [elementId]);
+        throw new HttpError(404, element ? `Element ${elementId} has no snapshot` : `Element ${elementId} not found`);
+    }
+    return {
+        elementId: row.captureId,
+        url: row.url,
+        timestamp: row.timestamp,
+        element: decode(row.elementHtml, row.encoding),
+        elementSize: row.elementSize,
+        elementTruncated: Boolean(row.elementTruncated),
+        ancestors: JSON.parse(row.ancestors),
+        document: decode(row.documentHtml, row.encoding),
+        documentSize: row.documentSize,
+        // Captured, but over the size limit
+        documentOmitted: row.documentSize !== null && row.documentHtml === null,
+        encoding: row.encoding,
+        createdAt: row.createdAt
+    };
+}
+
+// The most recent other capture of the same page that has a snapshot
+async function findPreviousSnapshot(db, elementId) {
+    const row = await db.get(`
+        SELECT s.captureId
+        FROM capture_snapshots s
+        JOIN captures c ON c.id = s.captureId
+        WHERE c.pageId = (SELECT pageId FROM captures WHERE id = ?) AND c.id != ?
+        ORDER BY c.timestamp DESC, c.id DESC
+        LIMIT 1
+    `, [elementId, elementId]);
+    return row ? row.captureId : null;
+}
+
+// One tag or text run per line, so diffs line up on markup boundaries
+function markupLines(html) {
+    return html.split(/(?=<)/).map(line => line.trim()).filter(Boolean);
+}
+
+function openingTag({ tagName, attributes }) {
+    const attributeText = Object.entries(attributes)
+        .map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+        .join('');
+    return `<${tagName}${attributeText}>`;
+}
+
+/**
+ * Myers' diff of two line lists, null when they differ by more than MAX_EDIT_DISTANCE edits
+ * @returns {Array<[string, string]>|null} [op, line] pairs, op being ' ', '-' or '+'
+ */
+function editScript(base, target) {
+    const limit = Math.min(base.length + target.length, MAX_EDIT_DISTANCE);
+    const offset = limit + 1;
+    const furthest = new Int32Array(2 * offset + 1);
+    // furthest as it was before each step, only the diagonals that step can read
+    const trace = [];
+
+    for (let d = 0; d <= limit; d++) {
+        trace.push(furthest.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            const down = k === -d || (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1]);
+            let x = down ? furthest[offset + k + 1] : furthest[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < base.length && y < target.length && base[x] === target[y]) {
+                x++;
+                y++;
+            }
+            furthest[offset + k] = x;
+            if (x >= base.length && y >= target.length) {
+                return backtrack(trace, base, target, d);
+            }
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, base, target, distance) {
+    const ops = [];
+    let x = base.length;
+    let y = target.length;
+    for (let d = distance; d >= 0; d--) {
+        if (d === 0) {
+            while (x > 0) {
+                ops.push([' ', base[--x]]);
+            }
+            break;
+        }
+
+        const previous = trace[d];
+        const k = x - y;
+        const down = k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d]);
+        const previousK = down ? k + 1 : k - 1;
+        const previousX = previous[previousK + d];
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            ops.push([' ', base[--x]]);
+            y--;
+        }
+        ops.push(down ? ['+', target[--y]] : ['-', base[--x]]);
+    }
+    return ops.reverse();
+}
+
+// Groups changes with their surrounding context into unified-diff style hunks
+function toHunks(ops) {
+    const positions = [];
+    let baseLine = 1;
+    let targetLine = 1;
+    ops.forEach(([op]) => {
+        positions.push({ baseLine, targetLine });
+        if (op !== '+') baseLine++;
+        if (op !== '-') targetLine++;
+    });
+
+    const ranges = [];
+    ops.forEach(([op], index) => {
+        if (op === ' ') return;
+        const start = Math.max(0, index - DIFF_CONTEXT);
+        const end = Math.min(ops.length, index + DIFF_CONTEXT + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    return ranges.map(({ start, end }) => ({
+        baseStart: positions[start].baseLine,
+        targetStart: positions[start].targetLine,
+        lines: ops.slice(start, end).map(([op, line]) => op + line)
+    }));
+}
+
+/**
+ * Line diff of two lists of markup lines
+ * @param {string[]} base
+ * @param {string[]} target
+ * @returns {{added: number, removed: number, hunks: Object[]}}
+ */
+function diffLines(base, target) {
+    // Unchanged head and tail are common in page markup, keep them out of the edit search
+    let start = 0;
+    while (start < base.length && start < target.length && base[start] === target[start]) start++;
+    let baseEnd = base.length;
+    let targetEnd = target.length;
+    while (baseEnd > start && targetEnd > start && base[baseEnd - 1] === target[targetEnd - 1]) {
+        baseEnd--;
+        targetEnd--;
+    }
+
+    const changedBase = base.slice(start, baseEnd);
+    const changedTarget = target.slice(start, targetEnd);
+    const middle = editScript(changedBase, changedTarget) || [
+        ...changedBase.map(line => ['-', line]),
+        ...changedTarget.map(line => ['+', line])
+    ];
+    const ops = [
+        ...base.slice(0, start).map(line => [' ', line]),
+        ...middle,
+        ...base.slice(baseEnd).map(line => [' ', line])
+    ];
+
+    return {
+        added: ops.filter(([op]) => op === '+').length,
+        removed: ops.filter(([op]) => op === '-').length,
+        hunks: toHunks(ops)
+    };
+}
+
+/**
+ * Compares the snapshot of a capture with another one, by default the latest other capture of the same page
+ * @param {Object} db
+ * @param {number} elementId
+ * @param {number} [againstId]
+ * @returns {Promise<Object>} Diffs of the element markup, its ancestor chain and, when both have it, the page
+ */
+async function diffSnapshots(db, elementId, againstId) {
+    const base = await getSnapshot(db, elementId);
+    const otherId = againstId === undefined ? await findPreviousSnapshot(db, elementId) : againstId;
+    if (otherId === null) {
+        throw new HttpError(404, `No other snapshot of ${base.url} to compare with`);
+    }
+    const target = await getSnapshot(db, otherId);
+
+    // Ancestors are stored innermost first, diff them from the root down
+    const chain = snapshot => snapshot.ancestors.map(openingTag).reverse();
+    const describe = snapshot => ({ elementId: snapshot.elementId, url: snapshot.url, timestamp: snapshot.timestamp });
+
+    return {
+        base: describe(base),
+        target: describe(target),
+        element: diffLines(markupLines(base.element), markupLines(target.element)),
+        ancestors: diffLines(chain(base), chain(target)),
+        document: base.document !== null && target.document !== null
+            ? diffLines(markupLines(base.document), markupLines(target.document))
+            : null
+    };
+}
+
+module.exports = {
+    saveSnapshot,
+    getSnapshot,
+    diffSnapshots
+};
@@ -0,0 +1,106 @@
+// sync.js - Numbered log of element changes, broadcast as they happen and replayed to clients that reconnect
+
+// Log entry type -> WebSocket message type
+const MESSAGE_TYPES = {
+    created: 'elementCreated',
+    updated: 'elementUpdated',
+    deleted: 'elementDeleted'
+};
+// Older entries are pruned; a client further behind than that reloads everything
+const MAX_EVENTS = 10000;
+// Beyond this many changed elements a reload is cheaper than a replay
+const MAX_REPLAY = 1000;
+
+/**
+ * Appends a change to the log
+ * @param {Object} db
+ * @param {'created'|'updated'|'deleted'} type
+ * @param {number} elementId
+ * @returns {Promise<number>} Its sequence number, higher than any handed out before
+ */
+async function recordChange(db, type, elementId) {
+    if (!MESSAGE_TYPES[type]) {
+        throw new Error(`Unknown change type: ${type}`);
+    }
+    const result = await db.run('INSERT INTO element_events (type, elementId) VALUES (?, ?)', [type, elementId]);
+    await db.run('DELETE FROM element_events WHERE sequence <= ?', [result.lastID - MAX_EVENTS]);
+    return result.lastID;
+}
+
+async function latestSequence(db) {
+    const { sequence } = await db.get('SELECT COALESCE(MAX(sequence), 0) AS sequence FROM element_events');
+    return sequence;
+}
+
+/**
+ * The message clients receive for a change
+ * @param {'created'|'updated'|'deleted'} type
+ * @param {number} sequence
+ * @param {Object} element The element as /api/elements returns it, only its id for a deletion
+ * @returns {{type: string, sequence: number, data: Object}}
+ */
+function changeMessage(type, sequence, element) {
+    return {
+        type: MESSAGE_TYPES[type],
+        sequence,
+        data: type === 'deleted' ? { id: element.id } : element
+    };
+}
+
+/**
+ * What a client that last saw `since` has missed, one message per element with its current state.
+ * An element created and changed since then arrives as created; one created and deleted not at all.
+ * @param {Object} db
+ * @param {number} since
+ * @returns {Promise<{sequence: number, resync: boolean, messages: Object[]}>} resync when the log
+ *          no longer reaches back that far and the client has to reload instead
+ */
+async function changesSince(db, since) {
+    const sequence = await latestSequence(db);
+    const { oldest } = await db.get('SELECT MIN(sequence) AS oldest FROM element_events');
+    // A sequence from the future means the database was replaced
+    const reachable = Number.isInteger(since) && since >= 0 && since <= sequence &&
+        (since === sequence || since >= oldest - 1);
+    if (!reachable) {
+        return { sequence, resync: true, messages: [] };
+    }
+
+    const rows = await db.all(`
+        SELECT sequence, type, elementId FROM element_events
+        WHERE sequence > ? AND sequence <= ?
+        ORDER BY sequence
+    `, [since, sequence]);
+
+    const latest = new Map();
+    rows.forEach(row => {
+        const previous = latest.get(row.elementId);
+        latest.set(row.elementId, { ...row, created: row.type === 'created' || Boolean(previous && previous.created) });
+    });
+    const changes = Array.from(latest.values())
+        .filter(change => !(change.created && change.type === 'deleted'))
+        .sort((a, b) => a.sequence - b.sequence);
+    if (changes.length > MAX_REPLAY) {
+        return { sequence, resync: true, messages: [] };
+    }
+
+    const ids = changes.filter(change => change.type !== 'deleted').map(change => change.elementId);
+    const elements = ids.length === 0 ? [] : await db.all(
+        `SELECT * FROM elements WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+    const byId = new Map(elements.map(element => [element.id, element]));
+
+    const messages = changes
+        .filter(change => change.type === 'deleted' || byId.has(change.elementId))
+        .map(change => (change.type === 'deleted'
+            ? changeMessage('deleted', change.sequence, { id: change.elementId })
+            : changeMessage(change.created ? 'created' : 'updated', change.sequence, byId.get(change.elementId))));
+    return { sequence, resync: false, messages };
+}
+
+module.exports = {
+    recordChange,
+    latestSequence,
+    changeMessage,
+    changesSince
+};
@@ -0,0 +1,49 @@
+// exporters.test.js - Generated scripts must at least parse, whatever the captured elements are named
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const exporters = require('../exporters');
+
+function element(overrides) {
+    return {
+        id: 1,
+        name: '',
+        tagName: 'div',
+        role: '',
+        url: 'https://example.com/',
+        text: '',
+        cssSelector: '#target',
+        xpath: '',
+        selectors: [],
+        chain: [],
+        preferredSelector: null,
+        ...overrides
+    };
+}
+
+function assertParses(code) {
+    assert.doesNotThrow(() => new vm.Script(code), code);
+}
+
+for (const format of ['puppeteer', 'playwright']) {
+    test(`${format}: custom elements without text get a valid variable name`, () => {
+        const code = exporters.getExporter(format).generate([
+            element({ tagName: 'my-widget' }),
+            element({ tagName: 'x-1', text: '42 items' })
+        ]);
+        assert.match(code, /const myWidget = /);
+        assertParses(code);
+    });
+
+    test(`${format}: element names never shadow what the script header declares`, () => {
+        const code = exporters.getExporter(format).generate([
+            element({ text: 'Puppeteer' }),
+            element({ text: 'Wait for any' }),
+            element({ text: 'Chromium' }),
+            element({ text: 'Page' })
+        ]);
+        const declared = [...code.matchAll(/\b(?:const|function) (?:\{ )?(\w+)/g)].map(match => match[1]);
+        assert.deepStrictEqual(declared, [...new Set(declared)]);
+        assertParses(code);
+    });
+}